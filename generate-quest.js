@@ -1,25 +1,73 @@
 #!/usr/bin/env node
 /**
  * Minecraft Daily Quest generator (ESM, vanilla-safe)
- * - Writes: quests/YYYY-MM-DD.json and updates quests/index.json
- * - Timezone: America/New_York
- * - Deterministic weekly theme (ISO week seed); daily ramp Mon→Sun
- * - Holiday windows override base themes
+ * - Writes: quests/YYYY-MM-DD.json and updates quests/index.json, quests/meta.json
+ *   (the stream's time zone, read by the page), quests/feed.xml (Atom)
+ *   and quests/quests.ics (calendar) for the newest --feed-days days (default 30),
+ *   plus quests/YYYY-MM-DD.html share pages with OpenGraph previews
+ *   (--group=<name>: its own stream in quests/groups/<name>/, with its own index.json)
+ * - Timezone: America/New_York by default (--tz=<IANA zone> or QUEST_TZ decides what "today" is)
+ * - Deterministic weekly theme (ISO week seed); daily ramp Mon→Sun (planning lives in lib/plan.js)
+ * - Whole ISO week planned in one draw: no step repeats within a week
+ * - Theme arcs chain steps across the week ("continues from Monday")
+ * - Holiday windows override base themes (fixed, floating and cross-year; see lib/calendar.js)
+ * - Themes come from JSON packs in themes/ (plus any --themes=<dir>)
+ * - --ratings=<file> leans theme and step picks toward well-rated ones (lib/scores.js)
  * - Strong validation + safe fallback
  *
  * Usage:
  *   node generate-quest.js
  *   node generate-quest.js --date=2025-11-05
+ *   node generate-quest.js --themes=./my-server-themes
+ *   node generate-quest.js --avoid-weeks=4   (skip steps this theme used in the last 4 weeks)
+ *   node generate-quest.js --from=2025-12-01 --to=2025-12-31
+ *   node generate-quest.js --from=2025-12-01 --to=2025-12-31 --dry-run   (print, don't write)
+ *   node generate-quest.js --from=2025-12-01 --to=2025-12-31 --diff      (compare with quests/)
+ *   node generate-quest.js --llm                       (model-written steps; needs GROQ_API_KEY)
+ *   node generate-quest.js --llm-mock=examples/llm-mock.json --dry-run   (offline replay)
+ *   node generate-quest.js --audience=young,veteran   (also write quests/DATE.young.json etc.)
+ *   node generate-quest.js --coop                      (add a 2–4 player co-op block to each quest)
+ *   node generate-quest.js --group=oak-hollow          (private stream for one server/family)
+ *   node generate-quest.js --tz=Europe/Berlin          ("today" in that zone; default America/New_York)
+ *   node generate-quest.js --ratings=data/ratings.jsonl   (favor well-rated themes and steps)
+ *   node generate-quest.js --feed-days=60 --site=https://example.org/quests/   (feed window and page URL)
  *   DATE=2025-11-05 node generate-quest.js
+ *
+ *   node generate-quest.js archive             (audit quests/: index, gaps, drift)
+ *   node generate-quest.js archive --rebuild   (rewrite quests/index.json and meta.json from disk)
+ *   node generate-quest.js archive --backfill  (generate missing days, then rebuild)
+ *   node generate-quest.js archive --json
+ *   node generate-quest.js archive --group=oak-hollow  (audit that group's folder)
  */
 
 import fs from "node:fs";
 import path from "node:path";
+import { loadThemes } from "./lib/themes.js";
+import { addDays } from "./lib/calendar.js";
+import { AUDIENCES, DEFAULT_AUDIENCE, normalizeStep, stepDetails } from "./lib/steps.js";
+import { getISOWeekInfo, weekDates, unsafeSteps, planWeek, planCoop } from "./lib/plan.js";
+import { createGroqClient, createMockClient, requestSteps, DEFAULT_MODEL, PROMPT_VERSION } from "./lib/llm.js";
+import { describeHit } from "./lib/safety.js";
+import { readRatings, ratingScores } from "./lib/scores.js";
+import { atomFeed, icsCalendar, questPage } from "./lib/feeds.js";
+import { questProblems, indexProblems, knownThemeKeys, isValidDate, FALLBACK_THEME_KEY, QUEST_FILE_RX, GROUP_RX } from "./lib/validate.js";
 
 /* ------------------------------- Date helpers ------------------------------ */
-function nyDateString(d = new Date()) {
+const DEFAULT_TZ = "America/New_York";
+
+function isTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-CA", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The calendar date (YYYY-MM-DD) it is in `tz` at instant `d`.
+function dateInZone(tz, d = new Date()) {
   const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: "America/New_York",
+    timeZone: tz,
     year: "numeric",
     month: "2-digit",
     day: "2-digit",
@@ -29,432 +77,16 @@ function nyDateString(d = new Date()) {
   return `${parts.year}-${parts.month}-${parts.day}`;
 }
 
-function toUTCDate(isoDateStr) {
-  const x = new Date(isoDateStr + "T00:00:00Z");
-  return new Date(Date.UTC(x.getUTCFullYear(), x.getUTCMonth(), x.getUTCDate()));
-}
-
-// ISO week info (Mon=0..Sun=6)
-function getISOWeekInfo(isoDateStr) {
-  const d = toUTCDate(isoDateStr);
-  const dow = (d.getUTCDay() + 6) % 7;
-  const thursday = new Date(d);
-  thursday.setUTCDate(d.getUTCDate() - dow + 3);
-  const isoYear = thursday.getUTCFullYear();
-  const firstThursday = new Date(Date.UTC(isoYear, 0, 4));
-  const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
-  return { isoYear, week, dow };
-}
-
-/* --------------------------------- RNG ------------------------------------ */
-function mulberry32(seed) {
-  return function () {
-    let t = (seed += 0x6d2b79f5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-function strHash(s) {
-  let h = 2166136261 >>> 0;
-  for (let i = 0; i < s.length; i++) {
-    h ^= s.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return h >>> 0;
-}
-function rngForWeek(isoYear, week) {
-  return mulberry32(strHash(`${isoYear}-${week}-MCQUESTS`));
-}
-function pickN(rng, arr, n) {
-  const copy = [...arr];
-  const out = [];
-  while (n-- > 0 && copy.length) {
-    const i = Math.floor(rng() * copy.length);
-    out.push(copy.splice(i, 1)[0]);
-  }
-  return out;
-}
-
-/* --------------------------- Safety / validation --------------------------- */
-const BANNED = [
-  "nether","the nether","end","the end",
-  "villager","wandering trader","raid","trial","spire",
-  "structure","shipwreck","ruins","stronghold","fortress","bastion","monument",
-  "potion","brew","enchant","elytra","ender","ender pearl",
-  "command","data pack","datapack","mod","plugin","cartography",
-  "archaeology","archeology","brush","sniffer"
-];
-function isSafe(text) {
-  return typeof text === "string" && !BANNED.some(k => text.toLowerCase().includes(k));
-}
-function validateQuest(q) {
-  return Boolean(
-    q && typeof q.id === "string" && q.id === q.date &&
-    isSafe(q.title) && isSafe(q.theme) &&
-    Array.isArray(q.steps) && q.steps.length >= 1 && q.steps.length <= 3 &&
-    q.steps.every(isSafe)
-  );
-}
-
-/* --------------------------------- Themes --------------------------------- */
-// BASE_THEMES and HOLIDAY_THEMES are copied from your earlier CommonJS script (unchanged in content)
-const BASE_THEMES = [
-  {
-    key: "Farming Week",
-    color: "#6ab04c",
-    lore: "Nurture the land and stock your pantry.",
-    biomeHints: ["Any","Plains","Forest","River","Beach"],
-    warmups: [
-      "Collect 20 logs and craft a crafting table, a wooden hoe, and a chest.",
-      "Till soil near water and plant at least 10 seeds of any kind.",
-      "Craft a composter and make at least 1 bone meal.",
-      "Harvest 12 wheat or a mix of carrots/potatoes and store them in a chest.",
-      "Craft a bucket and water your field with a small trench or puddle."
-    ],
-    core: [
-      "Expand to 3 crop types (any you have) and replant what you harvest.",
-      "Breed any two animals (chickens with seeds; cows/sheep with wheat; pigs with carrots).",
-      "Place 12 torches around the farm to keep it safe at night.",
-      "Make 3 composters and feed extras until you get 3 bone meal.",
-      "Create a tiny greenhouse: walls of any block and at least 4 glass windows."
-    ],
-    stretch: [
-      "Plant 4 saplings (any mix) and fence the area.",
-      "Craft 4 bread and cook 4 other foods (any mix).",
-      "Hydrate all tilled soil and plant 20 crops.",
-      "Build a fenced pen and move two animals into it."
-    ],
-    rewards: [
-      "A neatly labeled pantry chest","A stack of seeds","A cozy torch-lit farm","A tidy orchard row"
-    ]
-  },
-  {
-    key: "Builder Week",
-    color: "#f0932b",
-    lore: "Shape the world with safe shelters and style.",
-    biomeHints: ["Any","Forest","Taiga","Hills","Birch Forest"],
-    warmups: [
-      "Gather 64 blocks of any building material (wood, stone, or mixed).",
-      "Smelt 8 sand into glass and set at least 2 windows in your base.",
-      "Place a door, pressure plate, and a few torches for a welcoming entrance.",
-      "Craft a set of stone tools and a spare furnace for your workshop.",
-      "Make a roof line with slabs or stairs along one side of your base."
-    ],
-    core: [
-      "Expand your home to at least 5×5×3 inside and light it to be mob-safe.",
-      "Add a crafting table, furnace, chest, bed, and one decorative block.",
-      "Lay a 10-block path from your door using any block type.",
-      "Build a porch or balcony with fences as railings.",
-      "Create a storage wall with 4 chests and labels."
-    ],
-    stretch: [
-      "Add a second room or loft with stairs or ladder.",
-      "Install 8 more glass blocks and a skylight.",
-      "Mix 3 block types on your facade for texture.",
-      "Light the perimeter with 20 torches (no dark spots)."
-    ],
-    rewards: [
-      "A proud screenshot of your build","A tidy workshop corner","A labeled storage wall","A sunny skylight"
-    ]
-  },
-  {
-    key: "Explorer Week",
-    color: "#22a6b3",
-    lore: "Venture safely, gather resources, and return with stories.",
-    biomeHints: ["Any","Plains","Forest","Beach","River","Hills"],
-    warmups: [
-      "Craft a boat and take a short paddle (about 300 blocks—estimate is fine).",
-      "Craft 16 torches and a spare stone pickaxe for your journey.",
-      "Collect 10 different block types and bring them back home.",
-      "Cook 5 foods (any mix) to pack as snacks.",
-      "Place a 6-block waypoint pillar with a torch on top near your base."
-    ],
-    core: [
-      "Gather 24 coal or make 16 charcoal for lighting.",
-      "Mine 32 cobblestone and 8 iron ore if you see any; smelt what you find.",
-      "Collect 6 mushrooms total (red/brown) from caves/shade.",
-      "Explore for a few minutes and safely return to base (no map needed).",
-      "Light a small cave entrance with 8 torches and gather common ores you see."
-    ],
-    stretch: [
-      "Create a safe outpost: a bed, chest, furnace, and torch ring at a new spot.",
-      "Bridge a small gap or river to make travel easier next time.",
-      "Build a 7-block watchtower with ladder access and a torch on top.",
-      "Return with a full stack of any useful block you found."
-    ],
-    rewards: [
-      "A scenic lookout tower","A stocked travel chest","A safe cave entryway","A trusty docked boat"
-    ]
-  },
-  {
-    key: "Cozy Base Week",
-    color: "#be2edd",
-    lore: "Comfort and order—make it feel like home.",
-    biomeHints: ["Any","Plains","Forest","Taiga","River"],
-    warmups: [
-      "Craft a bed of any color and set your spawn.",
-      "Place a campfire and cook at least 2 foods on it.",
-      "Label 3 chests with signs or item frames.",
-      "Place 12 torches in your rooms for cozy lighting.",
-      "Add a flower pot or a small plant corner."
-    ],
-    core: [
-      "Create a kitchen nook: furnace/smoker, crafting table, and a food chest.",
-      "Make a bedroom corner: bed, chest, and a window with glass.",
-      "Build a sitting area using stairs/slabs as chairs and a table.",
-      "Fence a small garden right outside your door.",
-      "Organize your items so every chest has a purpose."
-    ],
-    stretch: [
-      "Add a fireplace feature (campfire behind stairs/slabs).",
-      "Decorate walls with mixed blocks or frames.",
-      "Build a small basement or attic storage room.",
-      "Light your yard perimeter so nights feel safe."
-    ],
-    rewards: [
-      "A homey bedroom snapshot","A tidy kitchen corner","A charming front garden","An organized attic"
-    ]
-  },
-  {
-    key: "Survival Skills Week",
-    color: "#eb4d4b",
-    lore: "Stay safe, prepare smart, master day-one essentials.",
-    biomeHints: ["Any","Plains","Forest","Hills","Birch Forest"],
-    warmups: [
-      "Craft a shield if you have 1 iron; otherwise craft extra torches.",
-      "Make spare tools (stone pickaxe and axe).",
-      "Cook 5 foods (any) and keep them on your hotbar.",
-      "Collect 24 cobblestone and 16 logs for supplies.",
-      "Set your spawn and reinforce your door for night safety."
-    ],
-    core: [
-      "Light 20 torches around your base and paths.",
-      "Smelt 8 sand into glass to improve visibility and safety.",
-      "If you find iron, craft shears and gather 1 wool from a sheep.",
-      "Build a 5×5×3 safe room with a door and two windows.",
-      "Craft a water bucket and practice a gentle descent from a small height."
-    ],
-    stretch: [
-      "Dig an escape tunnel or a second exit from your base.",
-      "Place a torch way every ~8–10 blocks along a route.",
-      "Craft backup gear for future adventures.",
-      "Make a mob-safe mine entrance with a door and lights."
-    ],
-    rewards: [
-      "A fortress-cozy base","A well-lit neighborhood","A backup gear chest","A guarded mine entrance"
-    ]
-  }
-];
-
-const HOLIDAY_THEMES = [
-  {
-    key: "Halloween Week",
-    color: "#ff7518",
-    from: { month: 10, day: 25 }, to: { month: 10, day: 31 },
-    lore: "Spooky coziness—safe lights, pumpkins, and night-ready bases.",
-    biomeHints: ["Any","Forest","Taiga","Hills"],
-    warmups: [
-      "Gather 16 pumpkins or carve 6 jack-o'-lanterns with torches.",
-      "Place 12 torches along a path to make a safe trick-or-treat route.",
-      "Craft a scarecrow vibe near crops with fences and a jack-o'-lantern.",
-      "Cook 5 foods and stock a 'treat chest' at your door.",
-      "Build a tiny spooky porch with fences and a lantern."
-    ],
-    core: [
-      "Light up your yard so no dark spots remain.",
-      "Decorate your base with orange/black accents using any blocks.",
-      "Create a 7-block lookout with a torch or lantern on top.",
-      "Fence a small safe area where friends can gather at night.",
-      "Make a cozy room with windows to watch the stars."
-    ],
-    stretch: [
-      "Build a mini haunted garden with mushrooms and path blocks.",
-      "Add hidden lighting (torches under leaves/slabs) for ambience.",
-      "Make a pumpkin patch with rows and a fence gate.",
-      "Set up a tiny 'costume rack' with armor stands if you have them."
-    ],
-    rewards: ["Spooky porch vibes","A glowing pumpkin patch","A lantern-lit yard","A star-watching nook"]
-  },
-  {
-    key: "Winter Lights Week",
-    color: "#74b9ff",
-    from: { month: 12, day: 20 }, to: { month: 12, day: 31 },
-    lore: "Warm lights in the cold—cozy builds and bright paths.",
-    biomeHints: ["Any","Taiga","Snowy Plains","Forest"],
-    warmups: [
-      "Place 20 torches along paths to create a bright walkway.",
-      "Smelt 12 sand into glass for big windows.",
-      "Craft a fireplace feature with a campfire behind stairs/slabs.",
-      "Cook 6 foods to share with friends.",
-      "Add a spruce-style decoration (logs, leaves, or fences)."
-    ],
-    core: [
-      "Build a lodge room with bed, chest, crafting table, and furnace.",
-      "Make a glass bay window or skylight to let light in.",
-      "Set up a decorated front area with leaves, fences, and lanterns/torches.",
-      "Create a sledding hill look: snow layers or stairs for fun.",
-      "Light the perimeter so no mobs can sneak close."
-    ],
-    stretch: [
-      "Add an outdoor light tree using fences and torches/lanterns.",
-      "Craft extra blankets (beds) for guests and place them.",
-      "Build a warm kitchen corner with a smoker if you have one.",
-      "Create a small frozen-pond scene with a bench (stairs) nearby."
-    ],
-    rewards: ["A bright winter path","A cozy lodge room","A bay-window view","A festive front yard"]
-  },
-  {
-    key: "New Year Kickoff",
-    color: "#fdcb6e",
-    from: { month: 1, day: 1 }, to: { month: 1, day: 7 },
-    lore: "Fresh starts—organize, label, and light the way forward.",
-    biomeHints: ["Any","Plains","Forest","Beach"],
-    warmups: [
-      "Label 4 chests and sort items neatly.",
-      "Craft spare stone tools and store backups.",
-      "Place 16 torches to make your area bright.",
-      "Smelt 8 sand into glass and add windows.",
-      "Cook 5 foods and fill an 'adventure box' chest."
-    ],
-    core: [
-      "Build a to-do board with signs and place it in your base.",
-      "Make a safe mine entrance with door and lights.",
-      "Create a small farm with water and fences.",
-      "Add a second room or corner dedicated to storage.",
-      "Lay a 12-block path connecting base to farm or mine."
-    ],
-    stretch: [
-      "Raise a 7-block watchtower with a torch beacon.",
-      "Fence your perimeter to guide future paths.",
-      "Craft extra gear sets for future adventures.",
-      "Landscape with 3 block types for a clean look."
-    ],
-    rewards: ["A labeled storage wall","A safe mine entry","A tidy farm corner","A bright base perimeter"]
-  },
-  {
-    key: "Spring Garden Week",
-    color: "#55efc4",
-    from: { month: 4, day: 10 }, to: { month: 4, day: 17 },
-    lore: "Fresh growth—beds, paths, and peaceful green spaces.",
-    biomeHints: ["Any","Plains","Forest","River"],
-    warmups: [
-      "Plant 12 seeds and water them nearby.",
-      "Craft a composter and create 2 bone meal.",
-      "Add a flower bed with fences and a gate.",
-      "Place 12 torches around garden paths.",
-      "Cook 5 foods for a garden picnic chest."
-    ],
-    core: [
-      "Build a glass-window garden shed: crafting table, chest, furnace.",
-      "Create a seating area with slabs/stairs and a table.",
-      "Mix 3 block types to decorate the garden edges.",
-      "Fence off a small pond with a bench (stairs).",
-      "Replant crops so the garden keeps producing."
-    ],
-    stretch: [
-      "Expand to 3 crop types and keep them hydrated.",
-      "Add a leaf archway or trellis (fences + leaves).",
-      "Create a compost corner with 3 composters.",
-      "Connect garden to base with a lit path."
-    ],
-    rewards: ["A peaceful pond bench","A tidy garden shed","A blooming flower bed","A glowing path home"]
-  },
-  {
-    key: "Summer Beach Week",
-    color: "#ffeaa7",
-    from: { month: 7, day: 1 }, to: { month: 7, day: 7 },
-    lore: "Sunny builds—piers, paths, and picnic spots.",
-    biomeHints: ["Any","Beach","River","Plains"],
-    warmups: [
-      "Craft a boat and take a relaxing paddle.",
-      "Build a small pier with slabs/fences.",
-      "Place 12 torches along the shoreline path.",
-      "Cook 5 foods for a beach picnic chest.",
-      "Add shade: a small canopy with slabs and fences."
-    ],
-    core: [
-      "Create a lifeguard-style perch (7-block tower with ladder).",
-      "Make a boardwalk path with wood blocks/slabs.",
-      "Build a changing-hut room with door, chest, and torch.",
-      "Add decorative details using signs and item frames.",
-      "Connect the beach to your base with a lit path."
-    ],
-    stretch: [
-      "Expand the pier and add lanterns or more torches.",
-      "Create a fishing corner with a bench (stairs).",
-      "Landscape with sand/gravel/wood patterning.",
-      "Add a glow-at-night shoreline (hidden lights)."
-    ],
-    rewards: ["A sunny pier view","A cozy boardwalk","A beach picnic chest","A glowing shoreline"]
-  }
-];
-
-/* ----------------------- Difficulty ramp & composition --------------------- */
-function planForDow(dow) {
-  const count = [1,2,2,2,3,3,3][dow];
-  const mix = [
-    ["warmup"],
-    ["warmup","core"],
-    ["core","core"],
-    ["core","core"],
-    ["core","core","stretch"],
-    ["warmup","core","stretch"],
-    ["core","stretch","stretch"],
-  ][dow];
-  return { count, mix };
-}
-
-/* ------------------------- Theme choosing (holiday) ------------------------ */
-function dateInWindow(dateStr, win) {
-  if (!win?.from || !win?.to) return false;
-  const dt = toUTCDate(dateStr);
-  const y = dt.getUTCFullYear();
-  const start = new Date(Date.UTC(y, win.from.month - 1, win.from.day, 0, 0, 0));
-  const end   = new Date(Date.UTC(y, win.to.month - 1, win.to.day, 23, 59, 59));
-  return dt >= start && dt <= end;
-}
-function chooseThemeForDate(dateStr, rng) {
-  const holiday = HOLIDAY_THEMES.find(win => dateInWindow(dateStr, win));
-  if (holiday) return holiday;
-  if (!Array.isArray(BASE_THEMES) || BASE_THEMES.length === 0) return null;
-  const idx = Math.floor(rng() * BASE_THEMES.length);
-  return BASE_THEMES[idx] ?? null;
-}
-
-/* ------------------------------ Step selection ----------------------------- */
-function stepsForDay(theme, dow, rng) {
-  const { count, mix } = planForDow(dow);
-  const warmups = theme.warmups || [];
-  const core    = theme.core || [];
-  const stretch = theme.stretch || [];
-  const picks = [];
-
-  for (const slot of mix.slice(0, count)) {
-    if (slot === "warmup") picks.push(...(warmups.length ? pickN(rng, warmups, 1) : pickN(rng, core, 1)));
-    if (slot === "core")   picks.push(...(core.length ? pickN(rng, core, 1) : pickN(rng, warmups, 1)));
-    if (slot === "stretch")picks.push(...(stretch.length ? pickN(rng, stretch, 1) : pickN(rng, core, 1)));
-  }
-
-  while (picks.length < count) {
-    if (core.length) picks.push(...pickN(rng, core, 1));
-    else if (warmups.length) picks.push(...pickN(rng, warmups, 1));
-    else if (stretch.length) picks.push(...pickN(rng, stretch, 1));
-    else break;
-  }
-  const seen = new Set();
-  const dedup = picks.filter(s => !seen.has(s) && seen.add(s));
-  return dedup.filter(isSafe).slice(0, count);
-}
-
 /* ----------------------------- Build & fallback ---------------------------- */
-function hardFallback(date) {
+function hardFallback(date, audience = DEFAULT_AUDIENCE, group = "") {
   return {
     title: "Vanilla Daily Quest",
-    theme: "Cozy Base (Fallback)",
+    theme: FALLBACK_THEME_KEY,
     color: "#888888",
     id: date,
     date,
+    ...(audience !== DEFAULT_AUDIENCE && { audience }),
+    ...(group && { group }),
     lore: "Simple, seed-agnostic goals—no commands needed.",
     biome_hint: "Any",
     reward: "A cozy, well-lit home base",
@@ -471,21 +103,18 @@ function hardFallback(date) {
   };
 }
 
-function buildQuest(date) {
-  const { isoYear, week, dow } = getISOWeekInfo(date);
-  const rng = rngForWeek(isoYear, week);
-  const theme = chooseThemeForDate(date, rng) || {
-    key: "Cozy Base Week",
-    color: "#be2edd",
-    lore: "Comfort and order—make it feel like home.",
-    biomeHints: ["Any","Plains","Forest","Taiga","River"],
-    warmups: ["Place 12 torches in your rooms for cozy lighting."],
-    core: ["Create a kitchen nook: furnace/smoker, crafting table, and a food chest."],
-    stretch: ["Light your yard perimeter so nights feel safe."],
-    rewards: ["A homey bedroom snapshot"]
-  };
-
-  const steps = stepsForDay(theme, dow, rng);
+function buildQuest(date, themes, { history, report = [], audience = DEFAULT_AUDIENCE, coop = false, group = "", scores = null } = {}) {
+  const { dow } = getISOWeekInfo(date);
+  const days = planWeek(date, themes, history, audience, group, scores);
+  const { theme, steps, planned, unfilled, biome, reward } = days[dow];
+  const coopBlock = coop && audience === DEFAULT_AUDIENCE ? planCoop(days, themes, group)[dow] : null;
+  if (coop && audience === DEFAULT_AUDIENCE && !coopBlock) report.push(`${date}: no co-op block (needs at least 2 themes with a "role" and steps left this week)`);
+  for (const { step, hits } of unsafeSteps(theme)) {
+    report.push(`${date}: skipped step from "${theme.key}": "${step}" — ${hits.map(describeHit).join("; ")}`);
+  }
+  if (unfilled.length) {
+    report.push(`${date}${variantSuffix(audience)}: planned ${planned} steps, filled ${steps.length} from "${theme.key}" (no steps left for: ${unfilled.join(", ")})`);
+  }
 
   const quest = {
     title: "Vanilla Daily Quest",
@@ -493,48 +122,411 @@ function buildQuest(date) {
     color: theme.color || "#5c7cfa",
     id: date,
     date,
+    ...(audience !== DEFAULT_AUDIENCE && { audience }),
+    ...(group && { group }),
     lore: theme.lore,
-    biome_hint: (theme.biomeHints || ["Any"])[Math.floor(rng() * (theme.biomeHints || ["Any"]).length)] || "Any",
-    reward:
-      (theme.rewards || ["Bragging Rights"])[Math.floor(rng() * (theme.rewards || ["Bragging Rights"]).length)],
-    steps,
+    biome_hint: biome,
+    reward,
+    minutes: steps.reduce((sum, s) => sum + s.minutes, 0),
+    steps: steps.map(s => s.text),
+    step_details: steps.map(stepDetails),
+    ...(coopBlock && { coop: coopBlock }),
     rules: [
       "Java & Bedrock supported. No commands, no mods, any seed.",
       "All steps are optional—keep it fun and safe.",
       "No special structures or other dimensions are required."
     ],
-    redo_hint: "Swap any step with another from the same theme or rerun the generator."
+    redo_hint: "Swap any step with another from the same theme or rerun the generator.",
+    // The ratings snapshot the picks were weighted by; the archive audit needs it to reproduce them.
+    ...(scores && { provenance: { source: "generator", ratings: scores.id } }),
   };
 
-  return validateQuest(quest) ? quest : hardFallback(date);
+  const problems = questProblems(quest, { knownThemes: knownThemeKeys(themes) });
+  if (!problems.length) return quest;
+  report.push(`${date}${variantSuffix(audience)}: generated quest failed validation, using the fallback quest (${problems.map(p => p.message).join("; ")})`);
+  return hardFallback(date, audience, group);
+}
+
+/* ------------------------------- LLM steps --------------------------------- */
+/**
+ * Same quest as buildQuest(), with the steps written by a model (see lib/llm.js).
+ * The model fills the same difficulty slots; if every attempt fails the
+ * deterministic steps are kept. Either way `provenance` records what happened.
+ */
+async function buildLlmQuest(date, themes, { llm, history, report = [], audience = DEFAULT_AUDIENCE, coop = false, group = "", scores = null }) {
+  const base = buildQuest(date, themes, { history, report, audience, coop, group, scores });
+  const { dow } = getISOWeekInfo(date);
+  const { theme, slots, steps } = planWeek(date, themes, history, audience, group, scores)[dow];
+  if (base.theme !== theme.key) return base;
+
+  // An arc part stays as the theme wrote it; the model fills the other slots.
+  const arcStep = steps.find(s => s.arc);
+  const open = arcStep ? slots.slice(0, -1) : slots;
+  if (!open.length) return base;
+
+  const res = await requestSteps(llm.client, { theme, date, slots: open, model: llm.model, attempts: llm.attempts });
+  if (res.steps) {
+    const texts = arcStep ? [...res.steps, arcStep.text] : res.steps;
+    const details = [...res.steps.map((text, i) => stepDetails(normalizeStep(text, open[i]))), ...(arcStep ? [stepDetails(arcStep)] : [])];
+    const quest = {
+      ...base,
+      minutes: details.reduce((sum, d) => sum + d.minutes, 0),
+      steps: texts,
+      step_details: details,
+      ...(base.coop && { coop: { ...base.coop, shared: texts[texts.length - 1], shared_details: details[details.length - 1] } }),
+      provenance: { source: "llm", model: res.model, attempts: res.attempts, prompt_version: PROMPT_VERSION, ...(scores && { ratings: scores.id }) },
+    };
+    const problems = questProblems(quest, { knownThemes: knownThemeKeys(themes) });
+    if (!problems.length) return quest;
+    res.error = problems.map(p => p.message).join("; ");
+  }
+  report.push(`${date}: LLM steps rejected after ${res.attempts} attempt(s), keeping generated steps (${res.error})`);
+  return { ...base, provenance: { ...base.provenance, source: "generator", llm_model: res.model, llm_error: res.error } };
 }
 
 /* --------------------------------- I/O ------------------------------------ */
+// "" for the standard quest, ".young" etc. for audience variants (file names, logs).
+function variantSuffix(audience) {
+  return audience === DEFAULT_AUDIENCE ? "" : `.${audience}`;
+}
+
 function ensureDir(p) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
 }
 function readJSON(p, fallback) {
   try { return JSON.parse(fs.readFileSync(p, "utf8")); } catch { return fallback; }
 }
+function writeJSON(p, data) {
+  fs.writeFileSync(p, JSON.stringify(data, null, 2));
+}
 
-/* --------------------------------- Main ----------------------------------- */
-(function main() {
-  const cliDate = process.argv.find(a => a.startsWith("--date="))?.split("=")[1];
-  const DATE = cliDate || process.env.DATE || nyDateString();
+// Dates that have a quests/YYYY-MM-DD.json file, oldest first.
+function datesOnDisk(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).map(f => QUEST_FILE_RX.exec(f)?.[1]).filter(Boolean).sort();
+}
+// index.json (newest first) plus meta.json, which tells the page which zone's
+// midnight the stream publishes on.
+function writeIndex(dir, dates, { tz }) {
+  writeJSON(path.join(dir, "index.json"), Array.from(new Set(dates)).sort().reverse());
+  writeJSON(path.join(dir, "meta.json"), { tz });
+}
 
-  const OUT_DIR = path.join(process.cwd(), "quests");
-  const OUT_PATH = path.join(OUT_DIR, `${DATE}.json`);
-  const INDEX_PATH = path.join(OUT_DIR, "index.json");
+// Public URL of a file in the stream's folder.
+function publicUrl(site, group, file) {
+  return `${site}${group ? `quests/groups/${group}/` : "quests/"}${file}`;
+}
 
-  ensureDir(OUT_DIR);
+// feed.xml and quests.ics next to index.json, covering the `days` days up to
+// the newest quest. Returns how many quests they hold.
+function writeFeeds(dir, { group, days, site }) {
+  const dates = readJSON(path.join(dir, "index.json"), []);
+  if (!dates.length) return 0;
+  const from = addDays(dates[0], 1 - days);
+  const quests = dates.filter(d => d >= from).map(d => readJSON(path.join(dir, `${d}.json`), null)).filter(Boolean);
+  fs.writeFileSync(path.join(dir, "feed.xml"), atomFeed(quests, { site, self: publicUrl(site, group, "feed.xml"), group }));
+  fs.writeFileSync(path.join(dir, "quests.ics"), icsCalendar(quests, { site, group }));
+  return quests.length;
+}
 
-  const quest = buildQuest(DATE);
-  fs.writeFileSync(OUT_PATH, JSON.stringify(quest, null, 2));
+// DATE.html share page for each standard quest of `dates` found on disk.
+function writePages(dir, dates, { group, site }) {
+  for (const date of dates) {
+    const q = readJSON(path.join(dir, `${date}.json`), null);
+    if (q) fs.writeFileSync(path.join(dir, `${date}.html`), questPage(q, { self: publicUrl(site, group, `${date}.html`), group }));
+  }
+}
 
-  const index = readJSON(INDEX_PATH, []);
-  const set = new Set([DATE, ...index]);
-  const updated = Array.from(set).sort().reverse();
-  fs.writeFileSync(INDEX_PATH, JSON.stringify(updated, null, 2));
+// Steps each theme served in the `weeks` ISO weeks before the week of `dateStr`,
+// read back from published quests plus any `pending` ones not written yet:
+// Map(theme key -> Set of steps).
+function recentSteps(dir, dateStr, weeks, pending = []) {
+  const history = new Map();
+  if (!weeks) return history;
+  const monday = weekDates(dateStr)[0];
+  const from = addDays(monday, -7 * weeks);
+  const byDate = new Map(datesOnDisk(dir).map(d => [d, null]));
+  pending.forEach(q => byDate.set(q.date, q));
 
-  console.log(`Wrote quests/${DATE}.json and updated quests/index.json`);
+  for (const [date, known] of byDate) {
+    if (date < from || date >= monday) continue;
+    const q = known || readJSON(path.join(dir, `${date}.json`), null);
+    if (!q?.theme || !Array.isArray(q.steps)) continue;
+    if (!history.has(q.theme)) history.set(q.theme, new Set());
+    q.steps.forEach(s => history.get(q.theme).add(s));
+  }
+  return history;
+}
+
+/* ------------------------------ Archive audit ------------------------------ */
+/**
+ * Compares quests/ against index.json and against what the generator would
+ * produce today. Returns { dates, index, mismatched, gaps, drift }:
+ * - index:      problems from indexProblems() (unlisted, missing, order, ...)
+ * - mismatched: files that are unreadable or whose id disagrees with the name
+ * - gaps:       days missing between the first and last published quest
+ * - drift:      days that no longer regenerate identically (e.g. after theme edits)
+ * Quests weighted by ratings are regenerated with `scores` when it is the same
+ * snapshot, and reported as drift otherwise.
+ */
+function auditArchive(dir, themes, { avoidWeeks = 0, scores = null } = {}) {
+  const dates = datesOnDisk(dir);
+  const index = readJSON(path.join(dir, "index.json"), null);
+
+  const mismatched = [];
+  const drift = [];
+  for (const date of dates) {
+    const file = path.join(dir, `${date}.json`);
+    const q = readJSON(file, null);
+    const problems = q ? questProblems(q, { file }).filter(p => p.rule === "archive.filename") : [{ message: "unreadable JSON" }];
+    if (problems.length) { mismatched.push({ date, problems: problems.map(p => p.message) }); continue; }
+
+    const { provenance, ...published } = q;
+    if (provenance?.ratings && provenance.ratings !== scores?.id) {
+      drift.push({ date, fields: [`weighted by ratings snapshot ${provenance.ratings}; pass that --ratings file to check`] });
+      continue;
+    }
+    // Model-written steps can't be reproduced; only the deterministic parts are compared.
+    const { provenance: _, ...fresh } = buildQuest(date, themes, {
+      history: recentSteps(dir, date, avoidWeeks), coop: Boolean(q.coop), group: q.group, scores: provenance?.ratings ? scores : null,
+    });
+    if (provenance?.source === "llm") {
+      for (const k of ["steps", "minutes", "step_details", "coop"]) { delete fresh[k]; delete published[k]; }
+    }
+    if (JSON.stringify(fresh) !== JSON.stringify(published)) {
+      const fields = Object.keys({ ...published, ...fresh }).filter(k => JSON.stringify(published[k]) !== JSON.stringify(fresh[k]));
+      drift.push({ date, fields });
+    }
+  }
+
+  const gaps = [];
+  for (let d = dates[0]; d && d < dates[dates.length - 1]; d = addDays(d, 1)) {
+    if (!dates.includes(d)) gaps.push(d);
+  }
+
+  return {
+    dates,
+    index: index === null ? [{ rule: "index.missing", message: "index.json is missing or unreadable" }] : indexProblems(index, dates),
+    mismatched,
+    gaps,
+    drift,
+  };
+}
+
+function printAudit(audit) {
+  const { dates, index, mismatched, gaps, drift } = audit;
+  console.log(`Archive: ${dates.length} quests${dates.length ? ` (${dates[0]} → ${dates[dates.length - 1]})` : ""}`);
+  index.forEach(p => console.log(`  index: ${p.message}`));
+  mismatched.forEach(m => console.log(`  file:  ${m.date}.json ${m.problems.join("; ")}`));
+  if (gaps.length) console.log(`  gaps:  ${gaps.join(", ")}`);
+  drift.forEach(d => console.log(`  drift: ${d.date} (${d.fields.join(", ")})`));
+  if (!index.length && !mismatched.length && !gaps.length && !drift.length) console.log("  all good");
+}
+
+/* --------------------------------- Commands -------------------------------- */
+const argv = process.argv.slice(2);
+const flag = name => argv.find(a => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+const hasFlag = name => argv.includes(`--${name}`);
+
+const MAX_RANGE_DAYS = 400;
+const DEFAULT_FEED_DAYS = 30;
+const DEFAULT_SITE = "https://mcquests.nagoh.us/";
+
+// --from/--to (inclusive) or a single --date / DATE / today in `tz`.
+function requestedDates(tz) {
+  const from = flag("from");
+  const to = flag("to") || from;
+  if (!from) {
+    const date = flag("date") || process.env.DATE || dateInZone(tz);
+    if (!isValidDate(date)) throw new Error(`--date/DATE must be a YYYY-MM-DD date (got ${date})`);
+    return [date];
+  }
+  if (!isValidDate(from) || !isValidDate(to)) throw new Error(`--from/--to must be YYYY-MM-DD dates (got ${from} → ${to})`);
+  if (to < from) throw new Error(`--to (${to}) is before --from (${from})`);
+  const dates = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    dates.push(d);
+    if (dates.length > MAX_RANGE_DAYS) throw new Error(`range is longer than ${MAX_RANGE_DAYS} days`);
+  }
+  return dates;
+}
+
+// Field-by-field diff of two quests, as "-"/"+" lines.
+function diffQuest(before, after) {
+  const lines = [];
+  const show = v => (typeof v === "string" ? v : JSON.stringify(v));
+  for (const k of Object.keys({ ...before, ...after })) {
+    const a = before[k];
+    const b = after[k];
+    if (JSON.stringify(a) === JSON.stringify(b)) continue;
+    if (Array.isArray(a) && Array.isArray(b)) {
+      lines.push(`  ${k}:`);
+      a.filter(x => !b.some(y => JSON.stringify(y) === JSON.stringify(x))).forEach(x => lines.push(`  - ${show(x)}`));
+      b.filter(y => !a.some(x => JSON.stringify(x) === JSON.stringify(y))).forEach(y => lines.push(`  + ${show(y)}`));
+      if (lines[lines.length - 1] === `  ${k}:`) lines.push("    (reordered)");
+    } else {
+      lines.push(`  ${k}:`);
+      if (a !== undefined) lines.push(`  - ${show(a)}`);
+      if (b !== undefined) lines.push(`  + ${show(b)}`);
+    }
+  }
+  return lines;
+}
+
+// --llm turns on model-written steps; --llm-mock=<file> replays canned replies offline.
+async function llmOptions() {
+  if (!hasFlag("llm") && !flag("llm-mock")) return null;
+  const mock = flag("llm-mock");
+  return {
+    client: mock ? createMockClient(mock) : await createGroqClient(),
+    model: flag("llm-model") || DEFAULT_MODEL,
+    attempts: Number(flag("llm-attempts") || 3),
+  };
+}
+
+// The standard quest is always made; --audience=young,veteran (or "all") adds variants.
+function requestedAudiences() {
+  const raw = flag("audience");
+  const extra = !raw ? [] : raw === "all" ? Object.keys(AUDIENCES) : raw.split(",").map(a => a.trim());
+  const unknown = extra.filter(a => !AUDIENCES[a]);
+  if (unknown.length) throw new Error(`unknown --audience ${unknown.join(", ")} (use ${Object.keys(AUDIENCES).join(", ")} or all)`);
+  return [DEFAULT_AUDIENCE, ...extra.filter(a => a !== DEFAULT_AUDIENCE)];
+}
+
+// Writes (or with --dry-run/--diff, only prints) one quest per requested date
+// and audience: quests/DATE.json plus quests/DATE.<audience>.json variants.
+async function generateCommand(themes, { outDir, avoidWeeks, group, tz, scores, feeds }) {
+  const dryRun = hasFlag("dry-run");
+  const diff = hasFlag("diff");
+  const dates = requestedDates(tz);
+  const audiences = requestedAudiences();
+  const llm = await llmOptions();
+  const coop = hasFlag("coop");
+
+  const made = [];
+  const files = [];
+  for (const date of dates) {
+    const history = recentSteps(outDir, date, avoidWeeks, made);
+    for (const audience of audiences) {
+      const report = [];
+      const quest = llm
+        ? await buildLlmQuest(date, themes, { llm, history, report, audience, coop, group, scores })
+        : buildQuest(date, themes, { history, report, audience, coop, group, scores });
+      report.forEach(line => console.warn(`WARN: ${line}`));
+      if (audience === DEFAULT_AUDIENCE) made.push(quest);
+      const name = `${date}${variantSuffix(audience)}`;
+      files.push([name, quest]);
+
+      if (diff) {
+        const existing = readJSON(path.join(outDir, `${name}.json`), null);
+        if (!existing) console.log(`+ ${name} (new)`);
+        else {
+          const lines = diffQuest(existing, quest);
+          console.log(lines.length ? `~ ${name}\n${lines.join("\n")}` : `= ${name}`);
+        }
+      } else if (dryRun) {
+        console.log(JSON.stringify(quest, null, 2));
+      }
+    }
+  }
+  if (dryRun || diff) return;
+
+  ensureDir(outDir);
+  files.forEach(([name, q]) => writeJSON(path.join(outDir, `${name}.json`), q));
+  const index = readJSON(path.join(outDir, "index.json"), []);
+  writeIndex(outDir, [...dates, ...index], { tz });
+  // Every archived day, not only today's: any of them can be shared, and the
+  // daily run is the only thing that keeps their pages in place.
+  writePages(outDir, datesOnDisk(outDir), { group, ...feeds });
+  const inFeeds = writeFeeds(outDir, { group, ...feeds });
+
+  const variants = audiences.length > 1 ? ` (+ ${audiences.slice(1).join(", ")} variants)` : "";
+  const rel = path.relative(process.cwd(), outDir);
+  console.log(dates.length === 1
+    ? `Wrote ${rel}/${dates[0]}.json${variants} and updated ${rel}/index.json`
+    : `Wrote ${dates.length} quests (${dates[0]} → ${dates[dates.length - 1]})${variants} and updated ${rel}/index.json`);
+  console.log(`Updated ${rel}/feed.xml and ${rel}/quests.ics (${inFeeds} quests) and the share pages`);
+  if (scores) console.log(`Weighted by ${scores.count} ratings (snapshot ${scores.id})`);
+}
+
+// --ratings=<file>: scores from an exported ratings file, with each rated day's
+// steps read back from the archive. null without the flag.
+function loadScores(file, outDir) {
+  if (!file) return null;
+  const { rows, problems } = readRatings(file);
+  problems.forEach(p => console.warn(`WARN: ${p}`));
+  return ratingScores(rows, date => readJSON(path.join(outDir, `${date}.json`), null));
+}
+
+// archive            audit only (read-only)
+// archive --rebuild  rewrite index.json from the files on disk
+// archive --backfill generate every gap day, then rebuild index.json
+function archiveCommand(themes, { outDir, avoidWeeks, group, tz, scores, feeds }) {
+  const rel = path.relative(process.cwd(), outDir);
+  let audit = auditArchive(outDir, themes, { avoidWeeks, scores });
+
+  if (hasFlag("backfill")) {
+    for (const date of audit.gaps) {
+      const report = [];
+      writeJSON(path.join(outDir, `${date}.json`), buildQuest(date, themes, { history: recentSteps(outDir, date, avoidWeeks), report, coop: hasFlag("coop"), group, scores }));
+      report.forEach(line => console.warn(`WARN: ${line}`));
+      console.log(`Backfilled ${rel}/${date}.json`);
+    }
+  }
+  if (hasFlag("rebuild") || hasFlag("backfill")) {
+    writeIndex(outDir, datesOnDisk(outDir), { tz });
+    writePages(outDir, datesOnDisk(outDir), { group, ...feeds });
+    const inFeeds = writeFeeds(outDir, { group, ...feeds });
+    console.log(`Rebuilt ${rel}/index.json from disk, ${rel}/feed.xml and ${rel}/quests.ics (${inFeeds} quests) and the share pages`);
+    audit = auditArchive(outDir, themes, { avoidWeeks, scores });
+  }
+
+  if (hasFlag("json")) console.log(JSON.stringify(audit, null, 2));
+  else printAudit(audit);
+  if (audit.index.length || audit.mismatched.length) process.exitCode = 1;
+}
+
+/* --------------------------------- Main ----------------------------------- */
+(async function main() {
+  const themeDirs = argv.filter(a => a.startsWith("--themes=")).map(a => a.split("=").slice(1).join("="));
+  const avoidWeeks = Number(flag("avoid-weeks") || 0);
+  const group = flag("group") || "";
+  if (group && !GROUP_RX.test(group)) {
+    console.error(`--group must be 1–32 lower-case letters, digits or dashes (got "${group}")`);
+    process.exit(1);
+  }
+  const tz = flag("tz") || process.env.QUEST_TZ || DEFAULT_TZ;
+  if (!isTimeZone(tz)) {
+    console.error(`--tz must be an IANA time zone such as Europe/Berlin (got "${tz}")`);
+    process.exit(1);
+  }
+  const feeds = { days: Number(flag("feed-days") || DEFAULT_FEED_DAYS), site: flag("site") || process.env.SITE_URL || DEFAULT_SITE };
+  if (!Number.isInteger(feeds.days) || feeds.days < 1 || feeds.days > MAX_RANGE_DAYS) {
+    console.error(`--feed-days must be a whole number from 1 to ${MAX_RANGE_DAYS} (got "${flag("feed-days")}")`);
+    process.exit(1);
+  }
+  // Feed and page files are appended to it, so it can't carry a ?query or #hash.
+  if (!/^https?:\/\/[^/?#]+[^?#]*$/.test(feeds.site)) {
+    console.error(`--site must be the page's http(s) URL, without ?query or #hash (got "${feeds.site}")`);
+    process.exit(1);
+  }
+  if (!feeds.site.endsWith("/")) feeds.site += "/";
+  const outDir = group ? path.join(process.cwd(), "quests", "groups", group) : path.join(process.cwd(), "quests");
+
+  let themes;
+  try {
+    themes = loadThemes(themeDirs);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  try {
+    const scores = loadScores(flag("ratings"), outDir);
+    if (argv[0] === "archive") archiveCommand(themes, { outDir, avoidWeeks, group, tz, scores, feeds });
+    else await generateCommand(themes, { outDir, avoidWeeks, group, tz, scores, feeds });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
 })();
@@ -0,0 +1,141 @@
+/**
+ * Holiday calendar (ESM)
+ * - Resolves holiday window endpoints to concrete dates for any year
+ * - Endpoint forms (all may add "offset": ±days):
+ *     { "month": 12, "day": 20 }                      fixed date
+ *     { "month": 11, "weekday": "thu", "nth": 4 }     4th Thursday of November
+ *     { "month": 5, "weekday": "mon", "nth": -1 }     last Monday of May
+ *   ("nth" runs ±1–5; a year whose month has no 5th such weekday has no window)
+ *     { "easter": -2 }                                Good Friday (Western Easter − 2)
+ * - A window whose `to` falls before its `from` runs into the next year
+ * - A window may give { from, days } instead of { from, to }
+ * - Overlapping windows are settled by `priority` (higher wins), then pack order
+ *
+ * All dates are "YYYY-MM-DD" strings in UTC; nothing here depends on the local clock.
+ */
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function iso(y, m, d) {
+  return new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+}
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+// "YYYY-MM-DD" plus n days (n may be negative); shared by the generator and feeds.
+export function addDays(dateStr, n) {
+  const d = new Date(dateStr + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Western (Gregorian) Easter Sunday — Meeus/Jones/Butcher algorithm.
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return iso(year, month, day);
+}
+
+// nth (1-based; negative counts from the end) `weekday` of `month`, or null
+// when the month has fewer (a 5th Friday of February 2025).
+export function nthWeekday(year, month, weekday, nth) {
+  const wd = WEEKDAYS.indexOf(weekday);
+  const lastDay = daysInMonth(year, month);
+  let day;
+  if (nth > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    day = 1 + ((wd - first + 7) % 7) + 7 * (nth - 1);
+  } else {
+    const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+    day = lastDay - ((last - wd + 7) % 7) - 7 * (-nth - 1);
+  }
+  return day >= 1 && day <= lastDay ? iso(year, month, day) : null;
+}
+
+/* --------------------------------- Schema --------------------------------- */
+function isMonth(v) {
+  return Number.isInteger(v) && v >= 1 && v <= 12;
+}
+
+export function dayRuleProblems(spec) {
+  if (!spec || typeof spec !== "object") return ["must be an object"];
+  const out = [];
+  if (spec.offset !== undefined && !Number.isInteger(spec.offset)) out.push(`"offset" must be an integer`);
+
+  if (spec.easter !== undefined) {
+    if (!Number.isInteger(spec.easter)) out.push(`"easter" must be an integer day offset`);
+  } else if (spec.weekday !== undefined) {
+    if (!isMonth(spec.month)) out.push(`"month" must be 1–12`);
+    if (!WEEKDAYS.includes(spec.weekday)) out.push(`"weekday" must be one of ${WEEKDAYS.join(", ")}`);
+    if (!Number.isInteger(spec.nth) || spec.nth === 0 || spec.nth < -5 || spec.nth > 5) out.push(`"nth" must be 1–5 or -1–-5`);
+  } else {
+    if (!isMonth(spec.month)) out.push(`"month" must be 1–12`);
+    if (!Number.isInteger(spec.day) || spec.day < 1 || spec.day > 31) out.push(`"day" must be 1–31`);
+  }
+  return out;
+}
+
+export function windowProblems(win) {
+  if (!win || typeof win !== "object") return ["must be an object"];
+  const out = dayRuleProblems(win.from).map(p => `from: ${p}`);
+  if (win.days !== undefined) {
+    if (win.to !== undefined) out.push(`give either "to" or "days", not both`);
+    if (!Number.isInteger(win.days) || win.days < 1 || win.days > 366) out.push(`"days" must be 1–366`);
+  } else {
+    out.push(...dayRuleProblems(win.to).map(p => `to: ${p}`));
+  }
+  return out;
+}
+
+/* -------------------------------- Resolving ------------------------------- */
+// Concrete date of one endpoint in `year`, or null when a weekday rule has no
+// such day that year. Fixed days past month end clamp (Feb 29 → Feb 28).
+export function resolveDay(spec, year) {
+  let date;
+  if (spec.easter !== undefined) date = addDays(easterSunday(year), spec.easter);
+  else if (spec.weekday !== undefined) date = nthWeekday(year, spec.month, spec.weekday, spec.nth);
+  else date = iso(year, spec.month, Math.min(spec.day, daysInMonth(year, spec.month)));
+  return date && spec.offset ? addDays(date, spec.offset) : date;
+}
+
+// The window that starts in `year`: { start, end }, end possibly in year + 1;
+// null when either endpoint doesn't exist that year.
+export function windowRange(win, year) {
+  const start = resolveDay(win.from, year);
+  if (!start) return null;
+  if (win.days !== undefined) return { start, end: addDays(start, win.days - 1) };
+  let end = resolveDay(win.to, year);
+  if (end && end < start) end = resolveDay(win.to, year + 1);
+  return end ? { start, end } : null;
+}
+
+export function dateInWindow(dateStr, win) {
+  if (!win?.from) return false;
+  const year = Number(dateStr.slice(0, 4));
+  return [year - 1, year].some(y => {
+    const range = windowRange(win, y);
+    return Boolean(range) && dateStr >= range.start && dateStr <= range.end;
+  });
+}
+
+// Highest-priority theme whose window covers the date; ties keep list order.
+export function activeHoliday(dateStr, holidays) {
+  let best = null;
+  for (const t of holidays) {
+    if (!dateInWindow(dateStr, t.window)) continue;
+    if (!best || (t.priority ?? 0) > (best.priority ?? 0)) best = t;
+  }
+  return best;
+}
@@ -0,0 +1,167 @@
+/**
+ * Quest feeds and share pages (ESM)
+ * - atomFeed(): quests/feed.xml for feed readers, newest quest first
+ * - icsCalendar(): quests/quests.ics, one all-day event per quest with the
+ *   steps in its description, for family calendars
+ * - questPage(): quests/DATE.html, a small static page with OpenGraph tags so
+ *   a shared link previews that day's quest; visitors are sent on to the page
+ * - All are built only from the quests passed in, so regenerating the same
+ *   window gives byte-identical files (timestamps come from quest dates)
+ * - Links point at the page with ?date= (and ?group= for group streams)
+ */
+
+import { addDays } from "./calendar.js";
+
+/* --------------------------------- Helpers --------------------------------- */
+function questUrl(site, q, group) {
+  const params = new URLSearchParams({ ...(group && { group }), date: q.date });
+  return `${site}?${params}`;
+}
+
+function feedTitle(group) {
+  return `Minecraft Daily Quest${group ? ` (${group})` : ""}`;
+}
+
+function summary(q) {
+  return `${q.theme}: ${q.steps?.[0] || q.title}`;
+}
+
+/* ---------------------------------- Atom ----------------------------------- */
+const xml = s => String(s ?? "").replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+function entryHTML(q) {
+  return [
+    q.lore && `<p>${xml(q.lore)}</p>`,
+    `<ol>${(q.steps || []).map(s => `<li>${xml(s)}</li>`).join("")}</ol>`,
+    `<p>Biome: ${xml(q.biome_hint || "Any")} · Reward: ${xml(q.reward || "Bragging rights")}${q.minutes ? ` · About ${q.minutes} min` : ""}</p>`,
+  ].filter(Boolean).join("");
+}
+
+/**
+ * Atom 1.0 document for `quests` (any order; written newest first).
+ * `site` is the page URL ending in "/", `self` the feed's own URL.
+ */
+export function atomFeed(quests, { site, self, group = "" }) {
+  const sorted = [...quests].sort((a, b) => b.date.localeCompare(a.date));
+  const updated = `${sorted[0]?.date || "1970-01-01"}T00:00:00Z`;
+  const entries = sorted.map(q => `  <entry>
+    <id>${xml(questUrl(site, q, group))}</id>
+    <title>${xml(`${q.date} · ${summary(q)}`)}</title>
+    <link rel="alternate" type="text/html" href="${xml(questUrl(site, q, group))}"/>
+    <updated>${q.date}T00:00:00Z</updated>
+    <category term="${xml(q.theme)}"/>
+    <summary>${xml(summary(q))}</summary>
+    <content type="html">${xml(entryHTML(q))}</content>
+  </entry>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(self)}</id>
+  <title>${xml(feedTitle(group))}</title>
+  <subtitle>A fresh vanilla Minecraft quest every day. No mods. Any seed.</subtitle>
+  <link rel="self" type="application/atom+xml" href="${xml(self)}"/>
+  <link rel="alternate" type="text/html" href="${xml(group ? `${site}?group=${group}` : site)}"/>
+  <author><name>MCQUESTS</name></author>
+  <updated>${updated}</updated>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+/* ------------------------------- iCalendar --------------------------------- */
+const icsText = s => String(s ?? "").replace(/[\\;,]/g, c => `\\${c}`).replace(/\r?\n/g, "\\n");
+const icsDate = date => date.replace(/-/g, "");
+
+// RFC 5545 §3.1: lines over 75 octets continue on the next line after a space.
+function fold(line) {
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+function eventDescription(q) {
+  return [
+    q.lore,
+    (q.steps || []).map((s, i) => `${i + 1}. ${s}`).join("\n"),
+    `Biome: ${q.biome_hint || "Any"} · Reward: ${q.reward || "Bragging rights"}`,
+  ].filter(Boolean).join("\n\n");
+}
+
+/** iCalendar document with one all-day VEVENT per quest (oldest first). */
+export function icsCalendar(quests, { site, group = "" }) {
+  const host = new URL(site).host;
+  const sorted = [...quests].sort((a, b) => a.date.localeCompare(b.date));
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//MCQUESTS//Minecraft Daily Quest//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(feedTitle(group))}`,
+    ...sorted.flatMap(q => [
+      "BEGIN:VEVENT",
+      `UID:${q.date}${group ? `.${group}` : ""}@${host}`,
+      `DTSTAMP:${icsDate(q.date)}T000000Z`,
+      `DTSTART;VALUE=DATE:${icsDate(q.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(q.date, 1))}`,
+      `SUMMARY:${icsText(`Quest: ${summary(q)}`)}`,
+      `DESCRIPTION:${icsText(eventDescription(q))}`,
+      `URL:${questUrl(site, q, group)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    ]),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/* ------------------------------- Share pages ------------------------------- */
+const DESCRIPTION_LENGTH = 200;
+
+function clip(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1).trimEnd()}…`;
+}
+
+/**
+ * Static HTML for one quest, written next to its JSON as DATE.html. `self` is
+ * the page's own URL (og:url, so previews stay on it); browsers running scripts
+ * go straight on to the quest page, others get the quest as plain HTML.
+ */
+export function questPage(q, { self, group = "" }) {
+  const title = `${q.theme} · ${q.date} — ${feedTitle(group)}`;
+  const description = clip(`${q.lore ? `${q.lore} ` : ""}${(q.steps || []).join(" • ")}`, DESCRIPTION_LENGTH);
+  // Relative, so a copy served from another host lands on its own page.
+  const target = `${group ? "../../../" : "../"}?${new URLSearchParams({ ...(group && { group }), date: q.date })}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>${xml(title)}</title>
+  <meta name="description" content="${xml(description)}"/>
+  <link rel="canonical" href="${xml(self)}"/>
+  <meta property="og:type" content="article"/>
+  <meta property="og:site_name" content="${xml(feedTitle(group))}"/>
+  <meta property="og:title" content="${xml(`${q.theme}: ${q.title} for ${q.date}`)}"/>
+  <meta property="og:description" content="${xml(description)}"/>
+  <meta property="og:url" content="${xml(self)}"/>
+  <meta name="twitter:card" content="summary"/>
+  <meta name="theme-color" content="${xml(q.color || "#152042")}"/>
+  <script>location.replace(${JSON.stringify(target)});</script>
+</head>
+<body>
+  <h1>${xml(q.title)} — ${xml(q.date)}</h1>
+  <p>Theme: ${xml(q.theme)}</p>
+  ${entryHTML(q)}
+  <p><a href="${xml(target)}">Open this quest</a></p>
+</body>
+</html>
+`;
+}
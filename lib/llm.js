@@ -0,0 +1,131 @@
+/**
+ * LLM-authored steps (ESM, opt-in via `generate-quest.js --llm`)
+ * - Asks a chat model for fresh steps inside the day's theme and difficulty slots
+ * - Every response goes through the same content and vocabulary rules as theme steps
+ * - Bad responses are retried; the caller falls back to the deterministic quest
+ * - Clients share one shape (`chat.completions.create`), so a mock client that
+ *   replays canned responses can stand in for groq-sdk offline
+ */
+
+import fs from "node:fs";
+import { checkText, describeHit } from "./safety.js";
+import { stepText } from "./steps.js";
+import { checkVocabulary } from "./vocabulary.js";
+
+export const DEFAULT_MODEL = "llama-3.3-70b-versatile";
+export const PROMPT_VERSION = 1;
+
+const MAX_STEP_LENGTH = 160;
+// Steps are plain text; anything that could read as markup or template syntax is refused.
+const MARKUP_RX = /[<>`{}]/;
+
+const TIER_HINTS = {
+  warmup: "easy, 5–10 minutes, basic gathering or crafting",
+  core: "the main task of the day, 10–20 minutes",
+  stretch: "a bigger project for players who want more, 20–40 minutes",
+};
+
+/* --------------------------------- Clients -------------------------------- */
+export async function createGroqClient({ apiKey = process.env.GROQ_API_KEY } = {}) {
+  if (!apiKey) throw new Error("GROQ_API_KEY is not set (or use --llm-mock=<file>)");
+  const { default: Groq } = await import("groq-sdk");
+  return new Groq({ apiKey });
+}
+
+/**
+ * Replays canned responses from a JSON file, in order, one per request.
+ * The file is an array whose entries are either the raw message content
+ * (string), an object (sent as its JSON), or { "error": "..." } to simulate
+ * an API failure. Requests are kept on `client.requests` for inspection.
+ */
+export function createMockClient(file) {
+  const responses = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(responses)) throw new Error(`${file}: mock responses must be a JSON array`);
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        async create(params) {
+          requests.push(params);
+          if (requests.length > responses.length) throw new Error(`mock client ran out of responses after ${responses.length}`);
+          const next = responses[requests.length - 1];
+          if (next && typeof next === "object" && "error" in next) throw new Error(next.error);
+          const content = typeof next === "string" ? next : JSON.stringify(next);
+          return { model: params.model, choices: [{ message: { role: "assistant", content } }] };
+        },
+      },
+    },
+  };
+}
+
+/* --------------------------------- Prompt --------------------------------- */
+function buildMessages({ theme, date, slots }) {
+  const examples = [...(theme.warmups || []), ...(theme.core || []), ...(theme.stretch || [])].slice(0, 8).map(stepText);
+  const system = [
+    "You write daily quests for vanilla Minecraft (Java and Bedrock), for kids and families.",
+    "Every step must be doable on any seed on day one of a world:",
+    "no commands, cheats, mods or add-ons; no Nether or End; no villages, villagers or other generated structures;",
+    "no potions, brewing, enchanting or archaeology; only real vanilla items, blocks and mobs.",
+    `Each step is one sentence under ${MAX_STEP_LENGTH} characters with a clear, countable goal.`,
+    'Reply with JSON only: {"steps": ["...", "..."]}',
+  ].join("\n");
+  const user = [
+    `Date: ${date}`,
+    `Theme: ${theme.key} — ${theme.lore}`,
+    `Write exactly ${slots.length} step(s), in this order:`,
+    ...slots.map((slot, i) => `${i + 1}. ${slot}: ${TIER_HINTS[slot]}`),
+    "Match the style of these existing steps, but do not copy them:",
+    ...examples.map(s => `- ${s}`),
+  ].join("\n");
+  return [{ role: "system", content: system }, { role: "user", content: user }];
+}
+
+/* -------------------------------- Checking -------------------------------- */
+// Parses one model reply into { steps, problems }; no problems means the steps are usable.
+export function replyProblems(content, slots) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return { problems: ["reply is not valid JSON"] };
+  }
+  const steps = parsed?.steps;
+  if (!Array.isArray(steps)) return { problems: [`reply has no "steps" array`] };
+
+  const problems = [];
+  if (steps.length !== slots.length) problems.push(`expected ${slots.length} steps, got ${steps.length}`);
+  steps.forEach((s, i) => {
+    if (typeof s !== "string" || !s.trim()) { problems.push(`step ${i + 1} is not text`); return; }
+    if (s.length > MAX_STEP_LENGTH) problems.push(`step ${i + 1} is longer than ${MAX_STEP_LENGTH} characters`);
+    if (MARKUP_RX.test(s)) problems.push(`step ${i + 1} contains markup characters (< > \` { })`);
+    [...checkText(s).hits, ...checkVocabulary(s).hits].forEach(h => problems.push(`step ${i + 1}: ${describeHit(h)}`));
+  });
+  if (new Set(steps).size !== steps.length) problems.push("steps repeat");
+  return { steps: steps.map(s => (typeof s === "string" ? s.trim() : s)), problems };
+}
+
+/**
+ * Asks `client` for the day's steps, up to `attempts` times.
+ * Returns { steps, attempts, model } on success or { error, attempts, model }.
+ */
+export async function requestSteps(client, { theme, date, slots, model = DEFAULT_MODEL, attempts = 3 }) {
+  const messages = buildMessages({ theme, date, slots });
+  let error = "no attempts made";
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      const res = await client.chat.completions.create({
+        model,
+        messages,
+        temperature: 0.8,
+        response_format: { type: "json_object" },
+      });
+      const { steps, problems } = replyProblems(res?.choices?.[0]?.message?.content ?? "", slots);
+      if (!problems.length) return { steps, attempts: attempt, model: res.model || model };
+      error = problems.join("; ");
+    } catch (err) {
+      error = err.message;
+    }
+  }
+  return { error, attempts, model };
+}
@@ -0,0 +1,308 @@
+/**
+ * Week planning (ESM)
+ * - Deterministic weekly theme (ISO week seed); daily ramp Mon→Sun
+ * - Whole ISO week planned in one draw: no step repeats within a week
+ * - Theme arcs chain steps across the week ("continues from Monday")
+ * - Holiday windows override base themes (lib/calendar.js)
+ * - Co-op role steps dealt from per-theme weekly decks, never repeating a step
+ * - Pure: no file or clock access, so the week's invariants can be tested
+ *   (generate-quest.js turns a planned day into a quest)
+ */
+
+import { activeHoliday, addDays } from "./calendar.js";
+import { TIERS, AUDIENCES, DEFAULT_AUDIENCE, normalizeStep, stepDetails, shiftSlot, fitsAudience, playerTexts } from "./steps.js";
+import { checkText } from "./safety.js";
+import { checkVocabulary } from "./vocabulary.js";
+import { weightOf, pickWeighted } from "./scores.js";
+
+/* ------------------------------- Date helpers ------------------------------ */
+function toUTCDate(isoDateStr) {
+  const x = new Date(isoDateStr + "T00:00:00Z");
+  return new Date(Date.UTC(x.getUTCFullYear(), x.getUTCMonth(), x.getUTCDate()));
+}
+
+// ISO week info (Mon=0..Sun=6)
+export function getISOWeekInfo(isoDateStr) {
+  const d = toUTCDate(isoDateStr);
+  const dow = (d.getUTCDay() + 6) % 7;
+  const thursday = new Date(d);
+  thursday.setUTCDate(d.getUTCDate() - dow + 3);
+  const isoYear = thursday.getUTCFullYear();
+  const firstThursday = new Date(Date.UTC(isoYear, 0, 4));
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+  return { isoYear, week, dow };
+}
+
+/* --------------------------------- RNG ------------------------------------ */
+export function mulberry32(seed) {
+  return function () {
+    let t = (seed += 0x6d2b79f5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+export function strHash(s) {
+  let h = 2166136261 >>> 0;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+// Every draw for an ISO week hangs off this string. A group gets its own
+// stream; without one the seed is unchanged, so the public archive still
+// reproduces.
+export function weekSeed(isoYear, week, group) {
+  return `${isoYear}-${week}-MCQUESTS${group ? `-group:${group}` : ""}`;
+}
+function rngForWeek(isoYear, week, group) {
+  return mulberry32(strHash(weekSeed(isoYear, week, group)));
+}
+function pickN(rng, arr, n) {
+  const copy = [...arr];
+  const out = [];
+  while (n-- > 0 && copy.length) {
+    const i = Math.floor(rng() * copy.length);
+    out.push(copy.splice(i, 1)[0]);
+  }
+  return out;
+}
+
+/* ----------------------- Difficulty ramp & composition --------------------- */
+export function planForDow(dow) {
+  const count = [1,2,2,2,3,3,3][dow];
+  const mix = [
+    ["warmup"],
+    ["warmup","core"],
+    ["core","core"],
+    ["core","core"],
+    ["core","core","stretch"],
+    ["warmup","core","stretch"],
+    ["core","stretch","stretch"],
+  ][dow];
+  return { count, mix };
+}
+
+/* ------------------------- Theme choosing (holiday) ------------------------ */
+// With rating scores, better-rated themes come up more often; without, every theme is equally likely.
+function chooseWeeklyTheme(rng, themes, scores = null) {
+  if (!Array.isArray(themes.base) || themes.base.length === 0) return null;
+  const idx = scores
+    ? pickWeighted(rng, themes.base.map(t => weightOf(scores.themes, t.key)))
+    : Math.floor(rng() * themes.base.length);
+  return themes.base[idx] ?? null;
+}
+function chooseThemeForDate(dateStr, weekly, themes) {
+  return activeHoliday(dateStr, themes.holidays) || weekly || FALLBACK_THEME;
+}
+
+const FALLBACK_THEME = {
+  key: "Cozy Base Week",
+  color: "#be2edd",
+  lore: "Comfort and order—make it feel like home.",
+  biomeHints: ["Any","Plains","Forest","Taiga","River"],
+  warmups: ["Place 12 torches in your rooms for cozy lighting."],
+  core: ["Create a kitchen nook: furnace/smoker, crafting table, and a food chest."],
+  stretch: ["Light your yard perimeter so nights feel safe."],
+  rewards: ["A homey bedroom snapshot"]
+};
+
+/* ------------------------------ Step selection ----------------------------- */
+// Where a slot borrows from when its own tier has run dry (nearest tier first).
+const TIER_FALLBACK = {
+  warmup:  ["warmup", "core", "stretch"],
+  core:    ["core", "warmup", "stretch"],
+  stretch: ["stretch", "core", "warmup"],
+};
+
+function themeSteps(theme) {
+  return TIERS.flatMap(tier => (theme[tier === "warmup" ? "warmups" : tier] || []).map(s => normalizeStep(s, tier)));
+}
+
+// Safety rules plus the vanilla vocabulary, over the step's text and its
+// edition alternates; a step with any hit is never served.
+function stepHits(step) {
+  return playerTexts(step).flatMap(text => [...checkText(text).hits, ...checkVocabulary(text).hits]);
+}
+
+export function unsafeSteps(theme) {
+  return themeSteps(theme)
+    .map(step => ({ step: step.text, hits: stepHits(step) }))
+    .filter(x => x.hits.length);
+}
+
+export function stepPools(theme) {
+  const seen = new Set();
+  const pools = { warmup: [], core: [], stretch: [] };
+  for (const step of themeSteps(theme)) {
+    if (!stepHits(step).length && !seen.has(step.text) && seen.add(step.text)) pools[step.tier].push(step);
+  }
+  return pools;
+}
+
+// Takes one step for a slot out of the week's pools. `prefs` are filters in
+// order of preference (e.g. "not served recently"); each is tried across the
+// slot's fallback tiers before settling for the next, then for anything left.
+// Rating scores weight the pick toward well-rated steps.
+function drawStep(pools, slot, prefs, rng, scores = null) {
+  for (const ok of [...prefs, () => true]) {
+    const tier = TIER_FALLBACK[slot].find(t => pools[t].some(ok));
+    if (!tier) continue;
+    const candidates = pools[tier].filter(ok);
+    const step = scores
+      ? candidates[pickWeighted(rng, candidates.map(s => weightOf(scores.steps, s.text)))]
+      : pickN(rng, candidates, 1)[0];
+    pools[tier] = pools[tier].filter(s => s !== step);
+    return step;
+  }
+  return null;
+}
+
+/* ------------------------------- Week planning ----------------------------- */
+export function weekDates(dateStr) {
+  const { dow } = getISOWeekInfo(dateStr);
+  return Array.from({ length: 7 }, (_, i) => addDays(dateStr, i - dow));
+}
+
+/**
+ * One arc per theme per week, if the theme has any that fit its days: the
+ * parts are spread in order from the theme's first day of the week to its
+ * last, and each takes its day's biggest slot. Returns Map dow -> { step, arc }.
+ */
+function planArcs(dates, dayThemes, seed) {
+  const days = new Map();
+  dayThemes.forEach((theme, dow) => days.set(theme, [...(days.get(theme) || []), dow]));
+
+  const plan = new Map();
+  for (const [theme, dows] of days) {
+    const arcs = (theme.arcs || []).filter(a =>
+      a.steps.length <= dows.length && a.steps.every(s => !stepHits(normalizeStep(s, "core")).length));
+    if (!arcs.length) continue;
+    const [arc] = pickN(mulberry32(strHash(`${seed}-arc-${theme.key}`)), arcs, 1);
+    const parts = arc.steps.length;
+    const at = arc.steps.map((_, i) => dows[parts === 1 ? 0 : Math.round(i * (dows.length - 1) / (parts - 1))]);
+    arc.steps.forEach((step, i) => plan.set(at[i], {
+      step,
+      arc: {
+        name: arc.name,
+        part: i + 1,
+        parts,
+        ...(i > 0 && { after: dates[at[i - 1]] }),
+        ...(i < parts - 1 && { next: dates[at[i + 1]] }),
+      },
+    }));
+  }
+  return plan;
+}
+
+/**
+ * Plans the whole ISO week containing `dateStr` from one seeded draw.
+ * Each theme's pools are shared by every day it covers, so no step repeats
+ * within the week. `history` maps theme key -> Set of steps to avoid if possible.
+ * Audience variants keep the week's theme but draw their own steps from a
+ * separate seed, so the standard quest is the same with or without them.
+ * Their shifted slots empty one tier long before the week ends, so a variant
+ * deals a dry tier again (never twice in a day) rather than fall to an easier
+ * or harder one: a veteran Sunday stays a stretch day.
+ * Arc parts (see planArcs) always fill the day's last slot. `scores`
+ * (lib/scores.js) biases the weekly theme and the step draws.
+ * Returns seven { date, dow, theme, steps, planned, unfilled, biome, reward }.
+ */
+export function planWeek(dateStr, themes, history = new Map(), audience = DEFAULT_AUDIENCE, group = "", scores = null) {
+  const { isoYear, week } = getISOWeekInfo(dateStr);
+  const seed = weekSeed(isoYear, week, group);
+  const rng = rngForWeek(isoYear, week, group);
+  const weekly = chooseWeeklyTheme(rng, themes, scores);
+  const variant = audience !== DEFAULT_AUDIENCE;
+  const stepRng = variant ? mulberry32(strHash(`${seed}-${audience}`)) : rng;
+  const band = AUDIENCES[audience];
+  const pools = new Map();
+  const dates = weekDates(dateStr);
+  const dayThemes = dates.map(date => chooseThemeForDate(date, weekly, themes));
+  const arcs = planArcs(dates, dayThemes, seed);
+
+  return dates.map((date, dow) => {
+    const theme = dayThemes[dow];
+    if (!pools.has(theme.key)) pools.set(theme.key, stepPools(theme));
+    const recent = history.get(theme.key) || new Set();
+    const fresh = s => !recent.has(s.text);
+    const fits = s => fitsAudience(s, audience);
+    const prefs = variant ? [s => fresh(s) && fits(s), fits, fresh] : [fresh];
+
+    const { count, mix } = planForDow(dow);
+    const slots = mix.slice(0, count).map(slot => shiftSlot(slot, band.shift)).slice(0, band.maxSteps);
+    const steps = [];
+    const unfilled = [];
+    for (const [i, slot] of slots.entries()) {
+      if (arcs.has(dow) && i === slots.length - 1) {
+        steps.push({ ...normalizeStep(arcs.get(dow).step, slot), arc: arcs.get(dow).arc });
+        continue;
+      }
+      const pool = pools.get(theme.key);
+      if (variant && !pool[slot].length) {
+        pool[slot] = stepPools(theme)[slot].filter(s => !steps.some(t => t.text === s.text));
+      }
+      const step = drawStep(pool, slot, prefs, stepRng, scores);
+      if (step) steps.push(step); else unfilled.push(slot);
+    }
+
+    const biomes = theme.biomeHints || ["Any"];
+    const rewards = theme.rewards || ["Bragging Rights"];
+    return {
+      date, dow, theme, steps, slots, planned: slots.length, unfilled,
+      biome: biomes[Math.floor(stepRng() * biomes.length)] || "Any",
+      reward: rewards[Math.floor(stepRng() * rewards.length)],
+    };
+  });
+}
+
+/* ------------------------------- Co-op roles ------------------------------- */
+export const COOP_MAX_ROLES = 4;
+export const COOP_ROLE_STEPS = 2;
+
+// Weekly themes that name a co-op role ("Farmer", "Builder", ...), in load order.
+function coopRoles(themes) {
+  return themes.base.filter(t => t.role).slice(0, COOP_MAX_ROLES);
+}
+
+/**
+ * Co-op blocks for a planWeek() week, one per day: each day's biggest step
+ * becomes the team's shared goal, and every role gets its own steps from its
+ * theme. Each role's deck is shuffled once per ISO week and dealt from a
+ * cursor that skips steps the week's solo quests or other roles already use,
+ * so no step appears twice in a week. A role whose deck has run dry sits the
+ * day out; a day with fewer than two roles left gets null.
+ */
+export function planCoop(days, themes, group = "") {
+  const { isoYear, week } = getISOWeekInfo(days[0].date);
+  const seed = weekSeed(isoYear, week, group);
+  const taken = new Set(days.flatMap(d => d.steps.map(s => s.text)));
+  const decks = coopRoles(themes).map(theme => {
+    const deck = TIERS.flatMap(tier => stepPools(theme)[tier]);
+    return { theme, order: pickN(mulberry32(strHash(`${seed}-coop-${theme.key}`)), deck, deck.length), next: 0 };
+  });
+
+  return days.map(day => {
+    const shared = day.steps[day.steps.length - 1];
+    if (!shared) return null;
+    const roles = decks.map(deck => {
+      const steps = [];
+      while (deck.next < deck.order.length && steps.length < COOP_ROLE_STEPS) {
+        const step = deck.order[deck.next++];
+        if (!taken.has(step.text)) { taken.add(step.text); steps.push(step); }
+      }
+      steps.sort((a, b) => TIERS.indexOf(a.tier) - TIERS.indexOf(b.tier));
+      const { role, key, color } = deck.theme;
+      return { role, theme: key, color, steps: steps.map(s => s.text), step_details: steps.map(stepDetails) };
+    }).filter(r => r.steps.length);
+    if (roles.length < 2) return null;
+
+    return {
+      players: { min: 2, max: roles.length },
+      shared: shared.text,
+      shared_details: stepDetails(shared),
+      roles,
+    };
+  });
+}
@@ -0,0 +1,190 @@
+/**
+ * Ratings store for ratings-server.js (ESM)
+ * - Ratings live in a JSON-lines file, one rating per line, loaded into memory at start
+ * - One rating per voter per quest date; the voter is the page's per-device id
+ *   (`user_hash`), and each network (IP) gets a few ratings per date on top
+ *   so a made-up id can't vote again and again
+ * - Voter ids and IPs are stored as salted hashes only; the salt lives next to
+ *   the data file (`<file>.secret`) so dedupe survives restarts
+ * - The theme stored and shown for a date is the published quest's
+ *   (`themeFor(date)`), never the client's: dates without a quest are refused
+ * - Aggregates match the Supabase views the page reads: { date, theme, count, avg }
+ */
+
+import fs from "node:fs";
+import crypto from "node:crypto";
+import path from "node:path";
+import { isValidDate } from "./validate.js";
+
+export const OPTION_STARS = { fun: 5, okay: 3, hard: 2 };
+export const MAX_PER_NETWORK = 10;
+const MAX_THEME_LENGTH = 80;
+
+/* -------------------------------- Validation ------------------------------- */
+// Body of POST /ratings ({ date, theme, stars, user_hash }) or the older
+// POST /votes ({ date, theme, option, user_hash }). Returns a list of problems.
+export function ratingProblems(body, { votes = false } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return ["body must be a JSON object"];
+  const out = [];
+  if (!isValidDate(body.date)) out.push(`"date" must be a YYYY-MM-DD date`);
+  if (typeof body.theme !== "string" || !body.theme.trim() || body.theme.length > MAX_THEME_LENGTH) {
+    out.push(`"theme" must be a non-empty string of at most ${MAX_THEME_LENGTH} characters`);
+  }
+  if (votes) {
+    if (!(body.option in OPTION_STARS)) out.push(`"option" must be one of ${Object.keys(OPTION_STARS).join(", ")}`);
+  } else if (!(Number.isInteger(body.stars) && body.stars >= 1 && body.stars <= 5)) {
+    out.push(`"stars" must be an integer 1–5`);
+  }
+  if (typeof body.user_hash !== "string" || !/^[\w-]{8,64}$/.test(body.user_hash)) {
+    out.push(`"user_hash" must be 8–64 letters, digits, "-" or "_"`);
+  }
+  return out;
+}
+
+/* ---------------------------------- Store ---------------------------------- */
+function loadSecret(file) {
+  const secretFile = `${file}.secret`;
+  if (fs.existsSync(secretFile)) return fs.readFileSync(secretFile, "utf8").trim();
+  const secret = crypto.randomBytes(32).toString("hex");
+  fs.writeFileSync(secretFile, secret + "\n", { mode: 0o600 });
+  return secret;
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).flatMap((line, i) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      console.warn(`WARN: ${file}:${i + 1} is not JSON; skipped`);
+      return [];
+    }
+  });
+}
+
+// Theme of the published quests/<date>.json, or null when there is none.
+export function questThemes(dir) {
+  return date => {
+    if (!isValidDate(date)) return null;
+    try {
+      const theme = JSON.parse(fs.readFileSync(path.join(dir, `${date}.json`), "utf8")).theme;
+      return typeof theme === "string" && theme ? theme : null;
+    } catch {
+      return null;
+    }
+  };
+}
+
+/**
+ * Opens (or creates) a ratings file. `themeFor(date)` names the published
+ * theme of a date (null: no quest, so nothing to rate).
+ * add() returns { ok: true } or { ok: false, status, message } with PostgREST-ish
+ * statuses: 400 for a date without a quest, 409 for a repeat vote, 429 when the
+ * network is over its cap.
+ */
+export function openRatingsStore(file, { themeFor, maxPerNetwork = MAX_PER_NETWORK }) {
+  const secret = loadSecret(file);
+  const hash = value => crypto.createHmac("sha256", secret).update(String(value)).digest("hex").slice(0, 32);
+  const rows = readLines(file);
+  const voted = new Set(rows.map(r => `${r.date}|${r.voter}`));
+  const perNetwork = new Map();
+  for (const r of rows) perNetwork.set(`${r.date}|${r.network}`, (perNetwork.get(`${r.date}|${r.network}`) || 0) + 1);
+
+  function add({ date, stars, user_hash }, ip) {
+    const theme = themeFor(date);
+    if (!theme) return { ok: false, status: 400, message: "no quest was published for this date" };
+    const voter = hash(`voter:${user_hash}`);
+    const network = hash(`ip:${ip}`);
+    if (voted.has(`${date}|${voter}`)) return { ok: false, status: 409, message: "already rated this quest" };
+    const n = perNetwork.get(`${date}|${network}`) || 0;
+    if (n >= maxPerNetwork) return { ok: false, status: 429, message: "too many ratings for this quest from your network" };
+
+    const row = { date, theme, stars, voter, network, at: new Date().toISOString() };
+    fs.appendFileSync(file, JSON.stringify(row) + "\n");
+    rows.push(row);
+    voted.add(`${date}|${voter}`);
+    perNetwork.set(`${date}|${network}`, n + 1);
+    return { ok: true };
+  }
+
+  // One row per published quest date, under that quest's theme.
+  function aggregate() {
+    const by = new Map();
+    const themes = new Map();
+    for (const r of rows) {
+      if (!themes.has(r.date)) themes.set(r.date, themeFor(r.date));
+      if (!themes.get(r.date)) continue;
+      const a = by.get(r.date) || { date: r.date, theme: themes.get(r.date), count: 0, sum: 0 };
+      a.count += 1;
+      a.sum += r.stars;
+      by.set(r.date, a);
+    }
+    return [...by.values()].map(({ date, theme, count, sum }) => ({ date, theme, count, avg: Math.round((sum / count) * 100) / 100 }));
+  }
+
+  return { add, aggregate, get size() { return rows.length; } };
+}
+
+/* ------------------------------- Rate limiting ----------------------------- */
+// Fixed-window counter per key: take(key) is false once `max` is used up within `windowMs`.
+export function createRateLimiter({ max, windowMs }) {
+  const windows = new Map();
+  return {
+    take(key, now = Date.now()) {
+      let w = windows.get(key);
+      if (!w || now - w.start >= windowMs) {
+        w = { start: now, used: 0 };
+        windows.set(key, w);
+        if (windows.size > 10000) {
+          for (const [k, v] of windows) if (now - v.start >= windowMs) windows.delete(k);
+        }
+      }
+      w.used += 1;
+      return { ok: w.used <= max, retryAfter: Math.ceil((w.start + windowMs - now) / 1000) };
+    },
+  };
+}
+
+/* ---------------------------- PostgREST-style query ------------------------ */
+const AGG_COLUMNS = ["date", "theme", "count", "avg"];
+export const MAX_LIMIT = 100;
+
+// ?date=eq.X&select=a,b&order=avg.desc,count.desc&limit=N over aggregate rows.
+// Returns { rows } or { problem } for anything this subset of PostgREST doesn't speak.
+export function queryRows(rows, params) {
+  let out = rows;
+  for (const col of AGG_COLUMNS) {
+    const filter = params.get(col);
+    if (filter === null) continue;
+    const m = /^eq\.(.*)$/.exec(filter);
+    if (!m) return { problem: `only eq. filters are supported (got ${col}=${filter})` };
+    out = out.filter(r => String(r[col]) === m[1]);
+  }
+
+  const order = params.get("order");
+  if (order) {
+    const keys = order.split(",").map(part => part.split("."));
+    if (keys.some(([col, dir = "asc"]) => !AGG_COLUMNS.includes(col) || !["asc", "desc"].includes(dir))) {
+      return { problem: `order must be column[.asc|.desc] of ${AGG_COLUMNS.join(", ")}` };
+    }
+    out = [...out].sort((a, b) => {
+      for (const [col, dir = "asc"] of keys) {
+        const c = a[col] < b[col] ? -1 : a[col] > b[col] ? 1 : 0;
+        if (c) return dir === "desc" ? -c : c;
+      }
+      return 0;
+    });
+  }
+
+  const limit = params.get("limit") === null ? MAX_LIMIT : Number(params.get("limit"));
+  if (!Number.isInteger(limit) || limit < 0) return { problem: "limit must be a non-negative integer" };
+  out = out.slice(0, Math.min(limit, MAX_LIMIT));
+
+  const select = params.get("select");
+  if (select && select !== "*") {
+    const cols = select.split(",");
+    if (cols.some(c => !AGG_COLUMNS.includes(c))) return { problem: `select must list columns of ${AGG_COLUMNS.join(", ")}` };
+    out = out.map(r => Object.fromEntries(cols.map(c => [c, r[c]])));
+  }
+  return { rows: out };
+}
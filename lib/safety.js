@@ -0,0 +1,187 @@
+/**
+ * Content safety rules (ESM)
+ * - Shared by generate-quest.js and validate-quest.js
+ * - Terms match whole words/phrases, so "end" never fires on "extend" or "friend"
+ * - A trailing "*" on a term matches any word ending ("enchant*" → enchanted, enchanting)
+ * - Each rule may list `allow` phrases; a hit inside one of them is ignored
+ * - checkText() returns which rules fired and why
+ */
+
+export const CATEGORIES = ["dimension", "structure", "mob", "item", "command", "addon", "fake-item"];
+
+export const RULES = [
+  /* ------------------------------ Dimensions ------------------------------ */
+  {
+    id: "dimension.nether",
+    category: "dimension",
+    reason: "Quests stay in the Overworld.",
+    terms: ["nether", "nether portal", "nether wart"],
+  },
+  {
+    id: "dimension.end",
+    category: "dimension",
+    reason: "Quests stay in the Overworld.",
+    terms: ["the end", "end dimension", "end portal", "end city", "end stone", "end crystal", "end rod"],
+    allow: ["the end of", "at the end", "by the end", "in the end"],
+  },
+
+  /* ------------------------------ Structures ------------------------------ */
+  {
+    id: "structure.generated",
+    category: "structure",
+    reason: "Steps must work on any seed without finding a generated structure.",
+    terms: [
+      "structure", "village", "shipwreck", "ruins", "stronghold", "fortress", "bastion",
+      "monument", "mansion", "ancient city", "mineshaft", "temple", "pyramid", "spire",
+      "pillager outpost", "trial chamber",
+    ],
+  },
+  {
+    id: "structure.trial",
+    category: "structure",
+    reason: "Trial chambers are a generated structure.",
+    terms: ["trial", "trial spawner", "trial key"],
+    allow: ["trial and error"],
+  },
+  {
+    id: "structure.raid",
+    category: "structure",
+    reason: "Raids need a village and pillagers.",
+    terms: ["raid"],
+  },
+
+  /* --------------------------------- Mobs --------------------------------- */
+  {
+    id: "mob.villager",
+    category: "mob",
+    reason: "Villagers and traders only spawn in villages or at random.",
+    terms: ["villager", "wandering trader", "trader", "trading"],
+  },
+  {
+    id: "mob.hostile-boss",
+    category: "mob",
+    reason: "Boss and other-dimension mobs are out of scope.",
+    terms: ["ender dragon", "enderman", "endermen", "wither", "warden", "piglin", "ghast", "pillager"],
+  },
+  {
+    id: "mob.sniffer",
+    category: "mob",
+    reason: "Sniffers need archaeology eggs.",
+    terms: ["sniffer"],
+  },
+
+  /* --------------------------------- Items -------------------------------- */
+  {
+    id: "item.brewing",
+    category: "item",
+    reason: "Brewing needs Nether ingredients.",
+    terms: ["potion", "brew*"],
+  },
+  {
+    id: "item.enchanting",
+    category: "item",
+    reason: "Enchanting is beyond day-one play.",
+    terms: ["enchant*"],
+  },
+  {
+    id: "item.end-loot",
+    category: "item",
+    reason: "Needs the End or Endermen.",
+    terms: ["elytra", "ender", "ender pearl", "eye of ender", "shulker"],
+  },
+  {
+    id: "item.archaeology",
+    category: "item",
+    reason: "Archaeology needs generated ruins.",
+    terms: ["archaeolog*", "archeolog*", "brush", "suspicious sand", "cartography*"],
+  },
+
+  /* ------------------------------- Commands ------------------------------- */
+  {
+    id: "command.any",
+    category: "command",
+    reason: "Quests never require commands or cheats.",
+    terms: ["command", "command block", "cheat*", "creative mode", /(?<![\w/])\/[a-z]{2,}\b/i],
+  },
+
+  /* -------------------------------- Add-ons ------------------------------- */
+  {
+    id: "addon.any",
+    category: "addon",
+    reason: "Quests are vanilla only.",
+    terms: ["mod", "modded", "mod-only", "plugin", "data pack", "datapack", "addon", "add-on", "resource pack"],
+  },
+
+  /* ----------------------------- Invented items --------------------------- */
+  {
+    id: "fake-item.known",
+    category: "fake-item",
+    reason: "Not a vanilla item or recipe.",
+    terms: ["spore stew", "cauldron stew", "secret honeycomb", "secret chest"],
+  },
+];
+
+/* -------------------------------- Matching -------------------------------- */
+function escapeRx(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Plain terms match whole words with an optional plural; "stem*" matches any ending.
+function termSource(term) {
+  if (term instanceof RegExp) return term.source;
+  const stem = term.endsWith("*");
+  const base = (stem ? term.slice(0, -1) : term).trim();
+  const words = base.split(/\s+/).map(escapeRx).join("\\s+");
+  const plural = /(?:s|x|ch|sh)$/i.test(base) ? "(?:es)?" : "s?";
+  return `(?<![\\w-])${words}${stem ? "[\\w-]*" : plural}(?![\\w-])`;
+}
+
+const compiled = new WeakMap();
+function compile(rule) {
+  if (!compiled.has(rule)) {
+    compiled.set(rule, {
+      terms: (rule.terms || []).map(t => ({ term: String(t), rx: new RegExp(termSource(t), "gi") })),
+      allow: (rule.allow || []).map(a => new RegExp(termSource(a), "gi")),
+    });
+  }
+  return compiled.get(rule);
+}
+
+function spans(rx, text) {
+  return [...text.matchAll(rx)].map(m => [m.index, m.index + m[0].length, m[0]]);
+}
+
+/**
+ * Checks one string against the rules.
+ * Returns { safe, hits: [{ rule, category, term, match, index, reason }] }.
+ * Non-strings are never safe.
+ */
+export function checkText(text, rules = RULES) {
+  if (typeof text !== "string") {
+    return { safe: false, hits: [{ rule: "type", category: "schema", term: "", match: String(text), index: 0, reason: "Expected text." }] };
+  }
+  const hits = [];
+  for (const rule of rules) {
+    const { terms, allow } = compile(rule);
+    const allowed = allow.flatMap(rx => spans(rx, text));
+    for (const { term, rx } of terms) {
+      for (const [start, end, match] of spans(rx, text)) {
+        if (allowed.some(([a, b]) => start >= a && end <= b)) continue;
+        if (hits.some(h => h.rule === rule.id && start < h.index + h.match.length && h.index < end)) continue;
+        hits.push({ rule: rule.id, category: rule.category, term, match, index: start, reason: rule.reason });
+      }
+    }
+  }
+  hits.sort((a, b) => a.index - b.index);
+  return { safe: hits.length === 0, hits };
+}
+
+// Single-argument on purpose so it can be passed straight to filter()/every().
+export function isSafe(text) {
+  return checkText(text).safe;
+}
+
+// One-line summary of a hit, for logs and CLI output.
+export function describeHit(hit) {
+  return `"${hit.match}" (${hit.rule}): ${hit.reason}`;
+}
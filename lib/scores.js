@@ -0,0 +1,120 @@
+/**
+ * Rating scores for the generator (ESM)
+ * - Reads an exported ratings file: a JSON array or JSON lines of
+ *   { date, theme, stars } (ratings-server.js's data file works as is)
+ * - A rating counts for the quest's theme and for every step that quest
+ *   published (looked up in the archive by date)
+ * - Scores are averages pulled toward 3★ by PRIOR_VOTES phantom votes, so a
+ *   handful of ratings only nudges them
+ * - Weights are score / 3, clamped to MIN_WEIGHT..MAX_WEIGHT: unrated content
+ *   weighs 1 and nothing ever drops out of the draw
+ * - `id` fingerprints the snapshot: the ratings plus the rated days' archived
+ *   themes and steps, so the same id always gives the same quests
+ */
+
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { isValidDate } from "./validate.js";
+
+export const PRIOR_VOTES = 5;
+export const PRIOR_STARS = 3;
+export const MIN_WEIGHT = 0.5;
+export const MAX_WEIGHT = 1.5;
+
+/* ---------------------------------- Input ---------------------------------- */
+/**
+ * Returns { rows: [{ date, theme, stars }], problems: [string] }. Lines that
+ * aren't JSON and rows that aren't a dated 1–5★ rating of a named theme are
+ * skipped with a problem; only a broken JSON array throws.
+ */
+export function readRatings(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const rows = [];
+  const problems = [];
+  let entries;
+  if (text.trim().startsWith("[")) {
+    try {
+      entries = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${file}: not a JSON array (${err.message})`);
+    }
+  } else {
+    // JSON lines: a line cut short by a crash is skipped, like lib/ratings.js does.
+    entries = text.split("\n").flatMap((line, i) => {
+      if (!line.trim()) return [];
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        problems.push(`${file}:${i + 1} is not JSON; skipped`);
+        return [];
+      }
+    });
+  }
+
+  entries.forEach((r, i) => {
+    const ok = r && isValidDate(r.date) && typeof r.theme === "string" && r.theme.trim() &&
+      Number.isInteger(r.stars) && r.stars >= 1 && r.stars <= 5;
+    if (ok) rows.push({ date: r.date, theme: r.theme.trim(), stars: r.stars });
+    else problems.push(`${file}: entry ${i + 1} needs date, theme and stars 1–5; skipped`);
+  });
+  return { rows, problems };
+}
+
+/* --------------------------------- Scoring --------------------------------- */
+function score(count, sum) {
+  return (PRIOR_VOTES * PRIOR_STARS + sum) / (PRIOR_VOTES + count);
+}
+
+function tally(map, key, stars) {
+  const t = map.get(key) || { count: 0, sum: 0 };
+  t.count += 1;
+  t.sum += stars;
+  map.set(key, t);
+}
+
+function finish(map) {
+  return new Map([...map].map(([key, { count, sum }]) => {
+    const s = score(count, sum);
+    return [key, { count, score: Math.round(s * 100) / 100, weight: Math.min(MAX_WEIGHT, Math.max(MIN_WEIGHT, s / PRIOR_STARS)) }];
+  }));
+}
+
+/**
+ * Per-theme and per-step scores from rating rows. `questFor(date)` returns the
+ * archived quest for a date (or null) so ratings can reach its steps.
+ * Returns { id, count, themes: Map(key -> {count, score, weight}), steps: Map(text -> ...) }.
+ */
+export function ratingScores(rows, questFor = () => null) {
+  const themes = new Map();
+  const steps = new Map();
+  const quests = new Map();
+  for (const r of rows) {
+    tally(themes, r.theme, r.stars);
+    if (!quests.has(r.date)) quests.set(r.date, questFor(r.date));
+    const q = quests.get(r.date);
+    if (q?.theme === r.theme && Array.isArray(q.steps)) q.steps.forEach(text => tally(steps, text, r.stars));
+  }
+
+  // Regenerating a rated day changes which steps its ratings reach, so the id covers them too.
+  const canonical = [
+    ...rows.map(r => `${r.date}|${r.theme}|${r.stars}`).sort(),
+    ...[...quests].sort(([a], [b]) => a.localeCompare(b)).map(([date, q]) => `quest ${date}|${q?.theme ?? ""}|${JSON.stringify(Array.isArray(q?.steps) ? q.steps : [])}`),
+  ];
+  const id = crypto.createHash("sha256").update(canonical.join("\n")).digest("hex").slice(0, 12);
+  return { id, count: rows.length, themes: finish(themes), steps: finish(steps) };
+}
+
+export function weightOf(map, key) {
+  return map.get(key)?.weight ?? 1;
+}
+
+// Index of one item drawn with probability proportional to weights[i]; one rng() call.
+export function pickWeighted(rng, weights) {
+  const total = weights.reduce((a, w) => a + w, 0);
+  let r = rng() * total;
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r < 0) return i;
+  }
+  return weights.length - 1;
+}
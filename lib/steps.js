@@ -0,0 +1,202 @@
+/**
+ * Step model (ESM)
+ * - Theme steps are plain strings or objects: { "text", "difficulty", "minutes", "goals", "editions" }
+ * - Untagged steps get their tier's default difficulty (1–5) and play-time
+ * - Goals are countable sub-targets ({ action, item, count }); untagged steps
+ *   get them parsed from their text ("Collect 20 logs" → collect 20 logs)
+ * - Arc parts carry { name, part, parts, after?, next } linking them to the
+ *   days before and after them in the week
+ * - Editions carry Java- or Bedrock-only alternate text and notes for a step
+ * - Audiences (young / standard / veteran) shift the day's slots down or up
+ *   a tier, cap the step count and prefer steps inside their difficulty band
+ */
+
+export const TIERS = ["warmup", "core", "stretch"];
+
+export const TIER_DEFAULTS = {
+  warmup:  { difficulty: 1, minutes: 10 },
+  core:    { difficulty: 2, minutes: 20 },
+  stretch: { difficulty: 3, minutes: 35 },
+};
+
+export const AUDIENCES = {
+  young:    { label: "Young (6+)", shift: -1, maxSteps: 2, maxDifficulty: 2 },
+  standard: { label: "Standard",   shift: 0,  maxSteps: 3 },
+  veteran:  { label: "Veteran",    shift: 1,  maxSteps: 3, minDifficulty: 2 },
+};
+export const DEFAULT_AUDIENCE = "standard";
+
+export const EDITIONS = ["java", "bedrock"];
+
+export function stepText(step) {
+  return typeof step === "string" ? step : step?.text;
+}
+
+// Every player-facing string of a step: its text plus edition alternates and notes.
+export function playerTexts(step) {
+  const editions = Object.values((typeof step === "object" && step?.editions) || {});
+  return [stepText(step), ...editions.flatMap(e => [e?.text, e?.note])].filter(t => typeof t === "string");
+}
+
+/* --------------------------------- Goals ---------------------------------- */
+export const GOAL_VERBS = [
+  "collect", "gather", "mine", "craft", "make", "cook", "place", "plant", "smelt",
+  "harvest", "breed", "light", "carve", "label", "install", "store",
+];
+// An item name: up to four words, stopping at a joining word or punctuation.
+const ITEM = `([a-z][a-z'-]*(?:\\s+(?!(?:and|or|with|to|into|from|near|along|around|in|on|for|of|inside|outside|at|so|until|as|if|total)\\b)[a-z][a-z'-]*){0,3})`;
+// verb [at least] N item
+const GOAL_RX = new RegExp(`\\b(${GOAL_VERBS.join("|")})\\s+(?:at least\\s+)?(\\d+)\\s+${ITEM}`, "gi");
+// More targets for the same verb: "collect 24 cobblestone and 16 logs", "mine 8 coal, 4 iron ore".
+const MORE_RX = new RegExp(`^(?:\\s*,\\s*(?:and\\s+)?|\\s+and\\s+)(?:at least\\s+)?(\\d+)\\s+${ITEM}`, "i");
+
+// A target offered as one choice ("24 coal or make 16 charcoal", "12 wheat or a mix").
+const CHOICE_RX = /^\s*(?:\([^)]*\)\s*)?,?\s*or\b/i;
+// A target only meant for some worlds: "8 iron ore if you see any" up to the
+// clause's end, or "If you find iron, ... gather 1 wool" from the sentence's start.
+const OPTIONAL_RX = /\b(?:if|optional|bonus)\b/i;
+// What may sit between two targets, and what may not follow the last one for
+// the targets to be the whole step ("and fence the area", "; smelt what you find").
+const JOIN_RX = /^\s*,?\s*(?:(?:and|then)\s+)?$/i;
+const MORE_TASKS_RX = /[,;]|\b(?:and|then)\b|[.!?]\s*\S/i;
+
+// Every "verb N item" target with its span; "and N item" continuations share the verb.
+function goalTargets(str) {
+  const out = [];
+  for (const m of str.matchAll(GOAL_RX)) {
+    if (out.length && m.index < out[out.length - 1].end) continue;
+    const action = m[1].toLowerCase();
+    let target = { action, item: m[3].toLowerCase(), count: Number(m[2]), start: m.index, end: m.index + m[0].length };
+    out.push(target);
+    for (let more; (more = MORE_RX.exec(str.slice(target.end))); ) {
+      target = { action, item: more[2].toLowerCase(), count: Number(more[1]), start: target.end, end: target.end + more[0].length };
+      out.push(target);
+    }
+  }
+  return out;
+}
+
+/**
+ * Best-effort sub-goals from a step's text; only numbered targets every player
+ * must reach count. A step offering a choice of targets gets none: ticking the
+ * goals could never finish it, so it is ticked by hand. `covered` is whether
+ * the goals are the whole step, with nothing else to do ("... and fence the
+ * area"); only then may meeting them tick the step.
+ * Returns { goals: [{ action, item, count }], covered }.
+ */
+export function readGoals(text) {
+  const str = String(text);
+  const targets = goalTargets(str);
+  if (targets.some(t => CHOICE_RX.test(str.slice(t.end)))) return { goals: [], covered: false };
+  const optional = t =>
+    OPTIONAL_RX.test(str.slice(0, t.start).split(/[.;!?]/).pop()) ||
+    OPTIONAL_RX.test(str.slice(t.end).split(/[,;.]|\band\b/)[0]);
+  const kept = targets.filter(t => !optional(t));
+  const between = kept.slice(1).map((t, i) => str.slice(kept[i].end, t.start));
+  const after = str.slice(kept.at(-1)?.end).replace(/\([^)]*\)/g, "");
+  const covered = kept.length > 0 && kept.length === targets.length &&
+    !str.slice(0, kept[0].start).trim() && between.every(s => JOIN_RX.test(s)) && !MORE_TASKS_RX.test(after);
+  return { goals: kept.map(({ action, item, count }) => ({ action, item, count })), covered };
+}
+
+export function parseGoals(text) {
+  return readGoals(text).goals;
+}
+
+// Theme step (string or object) → { text, tier, difficulty, minutes, goals, goalsPartial }.
+// An explicit "goals": [] turns parsing off for that step; explicit goals are
+// taken to be the whole step.
+export function normalizeStep(step, tier) {
+  const base = typeof step === "string" ? { text: step } : { ...step };
+  const parsed = base.goals ? null : readGoals(base.text);
+  return {
+    ...base,
+    tier,
+    difficulty: base.difficulty ?? TIER_DEFAULTS[tier].difficulty,
+    minutes: base.minutes ?? TIER_DEFAULTS[tier].minutes,
+    goals: base.goals ?? parsed.goals,
+    ...(parsed?.goals.length && !parsed.covered && { goalsPartial: true }),
+  };
+}
+
+// What a quest publishes about each step, next to its text.
+export function stepDetails(step) {
+  return {
+    tier: step.tier,
+    difficulty: step.difficulty,
+    minutes: step.minutes,
+    ...(step.goals?.length && { goals: step.goals }),
+    ...(step.goals?.length && step.goalsPartial && { goals_partial: true }),
+    ...(step.editions && { editions: step.editions }),
+    ...(step.arc && { arc: step.arc }),
+  };
+}
+
+export function goalProblems(goals) {
+  if (!Array.isArray(goals)) return [`"goals" must be an array`];
+  const out = [];
+  goals.forEach((g, i) => {
+    const ok = g && typeof g.action === "string" && g.action.trim() &&
+      typeof g.item === "string" && g.item.trim() &&
+      Number.isInteger(g.count) && g.count >= 1;
+    if (!ok) out.push(`goals[${i}] needs action, item and a count ≥ 1`);
+  });
+  return out;
+}
+
+// { "bedrock": { "text": "...", "note": "..." } }: each edition needs a text, a note or both.
+export function editionProblems(editions) {
+  if (!editions || typeof editions !== "object" || Array.isArray(editions)) return [`"editions" must be an object`];
+  const out = [];
+  for (const [name, e] of Object.entries(editions)) {
+    if (!EDITIONS.includes(name)) { out.push(`editions.${name} is not one of ${EDITIONS.join(", ")}`); continue; }
+    const fields = e && typeof e === "object" ? ["text", "note"].filter(k => e[k] !== undefined) : [];
+    if (!fields.length || fields.some(k => typeof e[k] !== "string" || !e[k].trim())) {
+      out.push(`editions.${name} needs a non-empty "text", "note" or both`);
+    }
+  }
+  return out;
+}
+
+// Arc link as published in step_details: { name, part, parts, after?, next? }.
+export function arcProblems(arc) {
+  if (!arc || typeof arc !== "object") return [`"arc" must be an object`];
+  const out = [];
+  const date = v => v === undefined || (typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v));
+  if (typeof arc.name !== "string" || !arc.name.trim()) out.push(`arc needs a name`);
+  if (!(Number.isInteger(arc.part) && Number.isInteger(arc.parts) && arc.part >= 1 && arc.part <= arc.parts)) {
+    out.push(`arc needs part and parts with 1 ≤ part ≤ parts`);
+  }
+  if (!date(arc.after) || !date(arc.next)) out.push(`arc after/next must be YYYY-MM-DD dates`);
+  if ((arc.after === undefined) !== (arc.part === 1) || (arc.next === undefined) !== (arc.part === arc.parts)) {
+    out.push(`arc parts after the first need "after", parts before the last need "next"`);
+  }
+  return out;
+}
+
+export function shiftSlot(slot, shift) {
+  const i = Math.min(TIERS.length - 1, Math.max(0, TIERS.indexOf(slot) + shift));
+  return TIERS[i];
+}
+
+export function fitsAudience(step, audience) {
+  const a = AUDIENCES[audience] || AUDIENCES[DEFAULT_AUDIENCE];
+  return step.difficulty >= (a.minDifficulty ?? 1) && step.difficulty <= (a.maxDifficulty ?? 5);
+}
+
+/* --------------------------------- Schema --------------------------------- */
+export function stepProblems(step) {
+  if (typeof step === "string") return step.trim() ? [] : ["step must not be empty"];
+  if (!step || typeof step !== "object") return ["step must be a string or an object"];
+  const out = [];
+  if (typeof step.text !== "string" || !step.text.trim()) out.push(`"text" must be a non-empty string`);
+  if (step.difficulty !== undefined && !(Number.isInteger(step.difficulty) && step.difficulty >= 1 && step.difficulty <= 5)) {
+    out.push(`"difficulty" must be an integer 1–5`);
+  }
+  if (step.minutes !== undefined && !(Number.isInteger(step.minutes) && step.minutes > 0)) {
+    out.push(`"minutes" must be a positive integer`);
+  }
+  if (step.goals !== undefined) out.push(...goalProblems(step.goals));
+  if (step.editions !== undefined) out.push(...editionProblems(step.editions));
+  return out;
+}
@@ -0,0 +1,155 @@
+/**
+ * Theme pack loader (ESM)
+ * - A pack is a JSON file: { "name": "...", "description": "...", "themes": [ ... ] }
+ * - Built-in packs live in ../themes; extra directories are layered on top
+ * - Themes with a `window` are holiday themes, the rest rotate weekly
+ * - Every pack is schema-checked at load time; problems throw ThemePackError
+ *
+ * See themes/README.md for the full schema.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { windowProblems } from "./calendar.js";
+import { stepProblems } from "./steps.js";
+
+export const BUILTIN_THEMES_DIR = fileURLToPath(new URL("../themes/", import.meta.url));
+
+export class ThemePackError extends Error {
+  constructor(file, problems) {
+    super(`Invalid theme pack ${file}:\n  - ${problems.join("\n  - ")}`);
+    this.name = "ThemePackError";
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+/* --------------------------------- Schema --------------------------------- */
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const STEP_TIERS = ["warmups", "core", "stretch"];
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+function isStringList(v) {
+  return Array.isArray(v) && v.every(isNonEmptyString);
+}
+
+// "arcs": [{ "name": "...", "steps": [step, step, ...] }], 2–7 steps each (one per day at most).
+function arcsProblems(arcs) {
+  if (!Array.isArray(arcs)) return [`"arcs" must be an array`];
+  const out = [];
+  arcs.forEach((arc, i) => {
+    if (!arc || typeof arc !== "object") { out.push(`arcs[${i}] must be an object`); return; }
+    if (!isNonEmptyString(arc.name)) out.push(`arcs[${i}]: "name" must be a non-empty string`);
+    if (!Array.isArray(arc.steps) || arc.steps.length < 2 || arc.steps.length > 7) {
+      out.push(`arcs[${i}]: "steps" must be an array of 2–7 steps`);
+      return;
+    }
+    arc.steps.forEach((s, j) => stepProblems(s).forEach(p => out.push(`arcs[${i}].steps[${j}] ${p}`)));
+  });
+  return out;
+}
+
+export function themeProblems(theme, where = "theme") {
+  const out = [];
+  if (!theme || typeof theme !== "object") return [`${where}: must be an object`];
+  const at = `${where} "${theme.key ?? "?"}"`;
+
+  if (!isNonEmptyString(theme.key)) out.push(`${where}: "key" must be a non-empty string`);
+  if (!isNonEmptyString(theme.color) || !HEX_COLOR.test(theme.color)) out.push(`${at}: "color" must be a #rrggbb hex string`);
+  if (!isNonEmptyString(theme.lore)) out.push(`${at}: "lore" must be a non-empty string`);
+  if (!isStringList(theme.biomeHints) || !theme.biomeHints.length) out.push(`${at}: "biomeHints" must be a non-empty string array`);
+  if (!isStringList(theme.rewards) || !theme.rewards.length) out.push(`${at}: "rewards" must be a non-empty string array`);
+
+  for (const tier of STEP_TIERS) {
+    if (theme[tier] === undefined) continue;
+    if (!Array.isArray(theme[tier])) { out.push(`${at}: "${tier}" must be an array`); continue; }
+    theme[tier].forEach((s, i) => stepProblems(s).forEach(p => out.push(`${at}: ${tier}[${i}] ${p}`)));
+  }
+  if (!STEP_TIERS.some(t => Array.isArray(theme[t]) && theme[t].length)) {
+    out.push(`${at}: needs at least one step in warmups, core or stretch`);
+  }
+
+  if (theme.window !== undefined) {
+    out.push(...windowProblems(theme.window).map(p => `${at}: window ${p}`));
+  }
+  if (theme.priority !== undefined && !Number.isInteger(theme.priority)) {
+    out.push(`${at}: "priority" must be an integer`);
+  }
+  if (theme.arcs !== undefined) out.push(...arcsProblems(theme.arcs).map(p => `${at}: ${p}`));
+  if (theme.role !== undefined && (!isNonEmptyString(theme.role) || theme.window !== undefined)) {
+    out.push(`${at}: "role" must be a non-empty string on a weekly (non-holiday) theme`);
+  }
+  return out;
+}
+
+export function packProblems(pack) {
+  if (!pack || typeof pack !== "object" || Array.isArray(pack)) return ["pack must be a JSON object"];
+  const out = [];
+  if (!isNonEmptyString(pack.name)) out.push(`"name" must be a non-empty string`);
+  if (!Array.isArray(pack.themes) || !pack.themes.length) {
+    out.push(`"themes" must be a non-empty array`);
+    return out;
+  }
+  const keys = new Set();
+  pack.themes.forEach((t, i) => {
+    out.push(...themeProblems(t, `themes[${i}]`));
+    if (t?.key && keys.has(t.key)) out.push(`themes[${i}]: duplicate key "${t.key}"`);
+    keys.add(t?.key);
+  });
+  return out;
+}
+
+/* --------------------------------- Loading -------------------------------- */
+function packFiles(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new ThemePackError(dir, ["not a directory"]);
+  }
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+export function readThemePack(file) {
+  let pack;
+  try {
+    pack = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ThemePackError(file, [`could not parse JSON (${err.message})`]);
+  }
+  const problems = packProblems(pack);
+  if (problems.length) throw new ThemePackError(file, problems);
+  return pack;
+}
+
+/**
+ * Loads the built-in packs plus any extra directories, in order.
+ * A later theme with the same key replaces the earlier one in place, so a
+ * server pack can tweak a built-in theme without changing the weekly rotation.
+ * Returns { base, holidays, packs }.
+ */
+export function loadThemes(extraDirs = []) {
+  const dirs = [BUILTIN_THEMES_DIR, ...extraDirs.map(d => path.resolve(d))];
+  const byKey = new Map();
+  const packs = [];
+
+  for (const dir of dirs) {
+    for (const file of packFiles(dir)) {
+      const pack = readThemePack(file);
+      packs.push({ name: pack.name, file, count: pack.themes.length });
+      for (const theme of pack.themes) {
+        byKey.set(theme.key, { ...theme, pack: pack.name });
+      }
+    }
+  }
+
+  const all = [...byKey.values()];
+  return {
+    base: all.filter(t => !t.window),
+    holidays: all.filter(t => t.window),
+    packs,
+  };
+}
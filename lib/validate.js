@@ -0,0 +1,247 @@
+/**
+ * Quest validation (ESM)
+ * - One schema + content check shared by the generator and validate-quest.js
+ * - Every check returns a list of problems: { path, rule, message }
+ *   (content problems also carry the safety rule's `category`)
+ * - An empty list means the quest is valid
+ * - The vanilla vocabulary check (lib/vocabulary.js) is opt-in: older archived
+ *   quests predate it
+ */
+
+import path from "node:path";
+import { checkText } from "./safety.js";
+import { AUDIENCES, DEFAULT_AUDIENCE, TIERS, goalProblems, editionProblems, arcProblems, playerTexts } from "./steps.js";
+import { checkVocabulary } from "./vocabulary.js";
+
+export const DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
+export const QUEST_FILE_RX = /^(\d{4}-\d{2}-\d{2})\.json$/;
+// Audience variants: quests/2025-11-05.young.json
+export const VARIANT_FILE_RX = /^(\d{4}-\d{2}-\d{2})\.([a-z]+)\.json$/;
+export const FALLBACK_THEME_KEY = "Cozy Base (Fallback)";
+// Private quest streams: quests/groups/<group>/ (see generate-quest.js --group)
+export const GROUP_RX = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Player-facing fields that go through the content rules. `rules` and
+// `redo_hint` are ours and legitimately mention commands and mods.
+const CONTENT_FIELDS = ["title", "theme", "lore", "biome_hint", "reward"];
+
+export function isValidDate(s) {
+  if (typeof s !== "string" || !DATE_RX.test(s)) return false;
+  const d = new Date(s + "T00:00:00Z");
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+// A safety or vocabulary hit as a problem at `p`.
+function hitProblem(p, hit) {
+  return { path: p, rule: hit.rule.startsWith("vocab.") ? hit.rule : `content.${hit.rule}`, category: hit.category, message: `"${hit.match}": ${hit.reason}` };
+}
+
+/* --------------------------------- Quests --------------------------------- */
+function detailProblems(d, at, bad) {
+  const ok = d && TIERS.includes(d.tier) &&
+    Number.isInteger(d.difficulty) && d.difficulty >= 1 && d.difficulty <= 5 &&
+    Number.isInteger(d.minutes) && d.minutes > 0;
+  if (!ok) bad(at, "schema.step_details", "needs tier, difficulty 1–5 and minutes");
+  if (d?.goals !== undefined) goalProblems(d.goals).forEach(p => bad(at, "schema.goals", p));
+  if (d?.goals_partial !== undefined && (d.goals_partial !== true || !d.goals?.length)) {
+    bad(at, "schema.goals", `"goals_partial" must be true and sit next to goals`);
+  }
+  if (d?.editions !== undefined) editionProblems(d.editions).forEach(p => bad(at, "schema.editions", p));
+  if (d?.arc !== undefined) arcProblems(d.arc).forEach(p => bad(at, "schema.arc", p));
+}
+
+// `prefix` is "" for the quest itself, "coop.roles[0]." etc. for co-op roles.
+function stepDetailProblems(details, steps, prefix, bad) {
+  if (details === undefined) return;
+  if (!Array.isArray(details) || details.length !== steps?.length) {
+    bad(`${prefix}step_details`, "schema.step_details", "step_details must have one entry per step");
+  } else {
+    details.forEach((d, i) => detailProblems(d, `${prefix}step_details[${i}]`, bad));
+  }
+}
+
+// { players: { min, max }, shared, shared_details?, roles: [{ role, theme, steps, step_details? }] }
+function coopProblems(coop, bad) {
+  if (!coop || typeof coop !== "object" || Array.isArray(coop)) { bad("coop", "schema.coop", "coop must be an object"); return; }
+  const { min, max } = coop.players || {};
+  if (!(Number.isInteger(min) && Number.isInteger(max) && min >= 2 && min <= max && max <= 4)) {
+    bad("coop.players", "schema.coop", "players must be { min, max } with 2 ≤ min ≤ max ≤ 4");
+  }
+  if (!isNonEmptyString(coop.shared)) bad("coop.shared", "schema.coop", "shared must be a non-empty string");
+  if (coop.shared_details !== undefined) detailProblems(coop.shared_details, "coop.shared_details", bad);
+  if (!Array.isArray(coop.roles) || coop.roles.length < 2 || coop.roles.length > 4) {
+    bad("coop.roles", "schema.coop", "roles must be an array of 2–4 roles");
+    return;
+  }
+  const names = new Set();
+  coop.roles.forEach((r, i) => {
+    const at = `coop.roles[${i}]`;
+    if (!isNonEmptyString(r?.role)) bad(at, "schema.coop", "role must be a non-empty string");
+    else if (names.has(r.role)) bad(at, "schema.coop", `role "${r.role}" is listed twice`);
+    names.add(r?.role);
+    if (!isNonEmptyString(r?.theme)) bad(at, "schema.coop", "theme must be a non-empty string");
+    if (!Array.isArray(r?.steps) || r.steps.length < 1 || r.steps.length > 3 || !r.steps.every(isNonEmptyString)) {
+      bad(`${at}.steps`, "schema.coop", "steps must be an array of 1–3 strings");
+    } else {
+      stepDetailProblems(r.step_details, r.steps, `${at}.`, bad);
+    }
+  });
+}
+
+export function schemaProblems(q, { knownThemes } = {}) {
+  if (!q || typeof q !== "object" || Array.isArray(q)) {
+    return [{ path: "", rule: "schema.object", message: "quest must be a JSON object" }];
+  }
+  const out = [];
+  const bad = (p, rule, message) => out.push({ path: p, rule, message });
+
+  if (!isValidDate(q.date)) bad("date", "schema.date", "date must be a real YYYY-MM-DD date");
+  if (typeof q.id !== "string") bad("id", "schema.id", "id must be a string");
+  else if (q.id !== q.date) bad("id", "schema.id", `id "${q.id}" must equal date "${q.date}"`);
+
+  if (!isNonEmptyString(q.title)) bad("title", "schema.title", "title must be a non-empty string");
+  if (!isNonEmptyString(q.theme)) bad("theme", "schema.theme", "theme must be a non-empty string");
+  else if (knownThemes && !knownThemes.has(q.theme)) bad("theme", "schema.theme-known", `unknown theme "${q.theme}"`);
+  if (typeof q.color !== "string" || !HEX_COLOR.test(q.color)) bad("color", "schema.color", "color must be a #rrggbb hex string");
+
+  if (!Array.isArray(q.steps) || q.steps.length < 1 || q.steps.length > 3) {
+    bad("steps", "schema.steps", "steps must be an array of length 1–3");
+  } else {
+    q.steps.forEach((s, i) => {
+      if (!isNonEmptyString(s)) bad(`steps[${i}]`, "schema.step", "step must be a non-empty string");
+    });
+  }
+
+  if (!Array.isArray(q.rules) || !q.rules.length || !q.rules.every(isNonEmptyString)) {
+    bad("rules", "schema.rules", "rules must be a non-empty array of strings");
+  }
+  for (const k of ["lore", "biome_hint", "reward", "redo_hint"]) {
+    if (q[k] !== undefined && typeof q[k] !== "string") bad(k, `schema.${k}`, `${k} must be a string`);
+  }
+  if (q.audience !== undefined && (!AUDIENCES[q.audience] || q.audience === DEFAULT_AUDIENCE)) {
+    bad("audience", "schema.audience", `audience must be one of ${Object.keys(AUDIENCES).filter(a => a !== DEFAULT_AUDIENCE).join(", ")}`);
+  }
+  if (q.group !== undefined && !(typeof q.group === "string" && GROUP_RX.test(q.group))) {
+    bad("group", "schema.group", "group must be 1–32 lower-case letters, digits or dashes");
+  }
+  if (q.minutes !== undefined && !(Number.isInteger(q.minutes) && q.minutes > 0)) {
+    bad("minutes", "schema.minutes", "minutes must be a positive integer");
+  }
+  stepDetailProblems(q.step_details, q.steps, "", bad);
+  if (q.coop !== undefined) coopProblems(q.coop, bad);
+  if (q.provenance !== undefined && !["llm", "generator"].includes(q.provenance?.source)) {
+    bad("provenance", "schema.provenance", `provenance.source must be "llm" or "generator"`);
+  }
+  return out;
+}
+
+// [path, text] for each step and its edition alternates and notes; co-op
+// roles and the shared goal included.
+function stepTexts(q, prefix = "") {
+  const steps = (Array.isArray(q.steps) ? q.steps : []).map((s, i) => [`${prefix}steps[${i}]`, s]);
+  const details = Array.isArray(q.step_details) ? q.step_details : [];
+  const editions = details.flatMap((d, i) => Object.entries(d?.editions || {}).flatMap(([name, e]) =>
+    ["text", "note"].map(k => [`${prefix}step_details[${i}].editions.${name}.${k}`, e?.[k]])));
+  const coop = !prefix && q.coop && typeof q.coop === "object" ? [
+    ["coop.shared", q.coop.shared],
+    ...(Array.isArray(q.coop.roles) ? q.coop.roles : []).flatMap((r, i) => (r && typeof r === "object" ? stepTexts(r, `coop.roles[${i}].`) : [])),
+  ] : [];
+  return [...steps, ...editions, ...coop].filter(([, t]) => typeof t === "string");
+}
+
+export function contentProblems(q) {
+  if (!q || typeof q !== "object") return [];
+  const texts = [
+    ...CONTENT_FIELDS.filter(k => typeof q[k] === "string").map(k => [k, q[k]]),
+    ...stepTexts(q),
+  ];
+  const out = [];
+  for (const [p, text] of texts) {
+    for (const hit of checkText(text).hits) out.push(hitProblem(p, hit));
+  }
+  return out;
+}
+
+// Steps checked against the vanilla vocabulary and the quest's own rules.
+export function vocabProblems(q) {
+  if (!q || typeof q !== "object") return [];
+  return stepTexts(q).flatMap(([p, text]) => checkVocabulary(text, { rules: q.rules }).hits.map(hit => hitProblem(p, hit)));
+}
+
+/**
+ * Full check of one quest. `file` (optional) must be named after the quest's
+ * date (and audience, for variants); `knownThemes` (optional Set) limits which
+ * theme keys are accepted; `vocab` adds vocabProblems().
+ */
+export function questProblems(q, { file, knownThemes, vocab = false } = {}) {
+  const out = [...schemaProblems(q, { knownThemes }), ...contentProblems(q), ...(vocab ? vocabProblems(q) : [])];
+  const name = file && path.basename(file);
+  const m = name && (QUEST_FILE_RX.exec(name) || VARIANT_FILE_RX.exec(name));
+  if (m && q?.id !== m[1]) {
+    out.push({ path: "id", rule: "archive.filename", message: `file is named ${m[1]} but id is "${q?.id}"` });
+  }
+  if (m && (m[2] ?? DEFAULT_AUDIENCE) !== (q?.audience ?? DEFAULT_AUDIENCE)) {
+    out.push({ path: "audience", rule: "archive.filename", message: `file is for ${m[2] ?? DEFAULT_AUDIENCE} but audience is "${q?.audience ?? DEFAULT_AUDIENCE}"` });
+  }
+  return out;
+}
+
+export function knownThemeKeys(themes) {
+  return new Set([...themes.base, ...themes.holidays].map(t => t.key).concat(FALLBACK_THEME_KEY));
+}
+
+/* --------------------------------- Themes --------------------------------- */
+/**
+ * Content and vocabulary problems in a theme pack's step pools, as if each
+ * step were in a generated quest. `pack` is a parsed, schema-valid pack.
+ */
+export function poolProblems(pack) {
+  const out = [];
+  for (const theme of pack.themes) {
+    const lists = [
+      ...["warmups", "core", "stretch"].map(tier => [tier, theme[tier] || []]),
+      ...(theme.arcs || []).map((arc, i) => [`arcs[${i}].steps`, arc.steps]),
+    ];
+    for (const [list, steps] of lists) {
+      steps.forEach((step, i) => {
+        const where = `${theme.key} ${list}[${i}]`;
+        for (const text of playerTexts(step)) {
+          for (const hit of [...checkText(text).hits, ...checkVocabulary(text).hits]) out.push(hitProblem(where, hit));
+        }
+      });
+    }
+  }
+  return out;
+}
+
+/* ---------------------------------- Index --------------------------------- */
+/**
+ * Checks quests/index.json against the dated files beside it.
+ * `index` is the parsed JSON, `dates` the dates that have a YYYY-MM-DD.json file.
+ */
+export function indexProblems(index, dates) {
+  if (!Array.isArray(index)) return [{ path: "", rule: "index.array", message: "index must be an array of dates" }];
+  const out = [];
+  const onDisk = new Set(dates);
+  const seen = new Set();
+
+  index.forEach((d, i) => {
+    if (!isValidDate(d)) out.push({ path: `[${i}]`, rule: "index.date", message: `"${d}" is not a YYYY-MM-DD date` });
+    else if (!onDisk.has(d)) out.push({ path: `[${i}]`, rule: "index.missing-file", message: `${d} is listed but has no quest file` });
+    if (seen.has(d)) out.push({ path: `[${i}]`, rule: "index.duplicate", message: `${d} is listed twice` });
+    seen.add(d);
+    if (i > 0 && typeof d === "string" && d > index[i - 1]) {
+      out.push({ path: `[${i}]`, rule: "index.order", message: `${d} is out of order (index must be newest first)` });
+    }
+  });
+  for (const d of onDisk) {
+    if (!seen.has(d)) out.push({ path: "", rule: "index.unlisted", message: `${d}.json exists but is not listed` });
+  }
+  return out;
+}
@@ -0,0 +1,136 @@
+/**
+ * Vanilla vocabulary check (ESM)
+ * - lib/vocabulary.json lists vanilla Java + Bedrock items, blocks and mobs
+ * - Only the things a step asks players to count or make are looked up
+ *   ("Collect 20 logs", "Craft a lantern"); builds like "a cozy porch" are free text
+ * - Vanilla things that need a dimension or structure are flagged when the
+ *   quest's own `rules` rule that out (generated quests always do); names that
+ *   are also everyday words ("beacon", "bell") only when a step asks for them,
+ *   so "a torch beacon" on a watchtower passes
+ * - Hits have the same shape as lib/safety.js hits, so describeHit() works on both
+ */
+
+import fs from "node:fs";
+import { checkText } from "./safety.js";
+import { GOAL_VERBS } from "./steps.js";
+
+export const VOCABULARY = JSON.parse(fs.readFileSync(new URL("./vocabulary.json", import.meta.url), "utf8"));
+
+/* --------------------------------- Lookup --------------------------------- */
+const NAMES = new Set([
+  ...VOCABULARY.items,
+  ...VOCABULARY.blocks,
+  ...VOCABULARY.mobs,
+  ...VOCABULARY.families.flatMap(f => f.of.flatMap(prefix => f.names.map(n => `${prefix} ${n}`))),
+  ...VOCABULARY.needs.flatMap(n => [...n.names, ...(n.targets || [])]),
+  ...Object.keys(VOCABULARY.aliases),
+  ...VOCABULARY.generic,
+]);
+
+function singulars(word) {
+  const out = [word];
+  if (/ies$/.test(word)) out.push(word.slice(0, -3) + "y");
+  if (/ves$/.test(word)) out.push(word.slice(0, -3) + "f", word.slice(0, -3) + "fe");
+  if (/es$/.test(word)) out.push(word.slice(0, -2));
+  if (/s$/.test(word)) out.push(word.slice(0, -1));
+  return out;
+}
+
+// The listed name (singular, lower case) `name` stands for, or null.
+function vanillaName(name) {
+  const words = String(name).toLowerCase().trim().split(/\s+/);
+  const head = words.slice(0, -1).join(" ");
+  return singulars(words[words.length - 1]).map(w => head ? `${head} ${w}` : w).find(n => NAMES.has(n)) ?? null;
+}
+
+// True for a vanilla name (any case, singular or plural), an alias or a generic word.
+export function isVanillaName(name) {
+  return vanillaName(name) !== null;
+}
+
+/* --------------------------------- Targets -------------------------------- */
+const STOPWORDS = new Set([
+  "and", "or", "with", "to", "into", "from", "near", "along", "around", "in", "on", "for", "of", "inside",
+  "outside", "at", "so", "until", "as", "if", "total", "that", "then", "by", "each", "per", "you", "your",
+]);
+const MAX_NAME_WORDS = 6;
+
+// "Collect 20 logs", "Mine at least 8 iron ore" and "Craft a lantern", "Cook some fish".
+const TARGET_RXS = [
+  new RegExp(`\\b(?:${GOAL_VERBS.join("|")})\\s+(?:at least\\s+)?\\d+\\s+`, "gi"),
+  /\b(?:craft|smelt|cook|bake)\s+(?:a|an|some)\s+/gi,
+];
+
+// The words after each target verb, up to punctuation: [{ index, words }].
+function targets(text) {
+  const out = [];
+  for (const rx of TARGET_RXS) {
+    for (const m of text.matchAll(rx)) {
+      const index = m.index + m[0].length;
+      const run = /^[a-z][a-z'-]*(?:\s+[a-z][a-z'-]*)*/i.exec(text.slice(index));
+      if (run) out.push({ index, words: run[0].split(/\s+/).slice(0, MAX_NAME_WORDS) });
+    }
+  }
+  return out;
+}
+
+// A target is vanilla when some name ends where its noun phrase ends
+// ("extra torches" → torches) or runs on through a joining word ("bucket of cod").
+// Returns { known, name, match } for a vanilla target, { known: false, phrase } otherwise.
+function targetKnown(words) {
+  let end = words.findIndex(w => STOPWORDS.has(w.toLowerCase()));
+  if (end === -1) end = words.length;
+  for (let i = 0; i < end; i++) {
+    for (let n = end; n <= words.length; n++) {
+      const match = words.slice(i, n).join(" ");
+      const name = vanillaName(match);
+      if (name) return { known: true, name, match };
+    }
+  }
+  return { known: false, phrase: words.slice(0, end).join(" ") };
+}
+
+/* --------------------------------- Checks --------------------------------- */
+const NEEDS_RULES = VOCABULARY.needs.map(n => ({
+  id: `vocab.needs-${n.need}`,
+  category: n.need,
+  reason: n.reason,
+  terms: n.names,
+}));
+// Everyday words that are only a need when asked for: name -> rule.
+const NEEDS_TARGETS = new Map(VOCABULARY.needs.flatMap((n, i) => (n.targets || []).map(t => [t, NEEDS_RULES[i]])));
+
+const RULE_MENTIONS = {
+  dimension: /\b(?:dimensions?|nether|the end)\b/i,
+  structure: /\bstructures?\b/i,
+};
+
+// Which needs a quest's `rules` exclude. Without rules, every need is out:
+// generated quests always promise "no special structures or other dimensions".
+export function excludedNeeds(rules) {
+  const needs = VOCABULARY.needs.map(n => n.need);
+  if (!Array.isArray(rules)) return new Set(needs);
+  return new Set(needs.filter(need => rules.some(r => typeof r === "string" && RULE_MENTIONS[need]?.test(r))));
+}
+
+/**
+ * Checks one step's text against the vocabulary.
+ * Returns { ok, hits: [{ rule, category, term, match, index, reason }] }.
+ */
+export function checkVocabulary(text, { rules } = {}) {
+  if (typeof text !== "string") return { ok: true, hits: [] };
+  const hits = [];
+  const excluded = excludedNeeds(rules);
+  for (const { index, words } of targets(text)) {
+    const { known, name, match, phrase } = targetKnown(words);
+    const need = known && NEEDS_TARGETS.get(name);
+    if (need && excluded.has(need.category)) {
+      hits.push({ rule: need.id, category: need.category, term: name, match, index: text.indexOf(match, index), reason: need.reason });
+    }
+    if (known || !phrase) continue;
+    hits.push({ rule: "vocab.unknown", category: "fake-item", term: phrase.toLowerCase(), match: phrase, index, reason: "Not a vanilla item, block or mob." });
+  }
+  hits.push(...checkText(text, NEEDS_RULES.filter(r => excluded.has(r.category))).hits);
+  hits.sort((a, b) => a.index - b.index);
+  return { ok: hits.length === 0, hits };
+}
@@ -1,367 +1,291 @@
 /* quest-ui.js
-   Frontend logic for index.html
-   - Loads today's quest from GitHub /quests
-   - Local progress (checkboxes)
-   - Optional voting/leaderboard via Supabase if configured
+   Ratings for index.html: star votes, per-quest stats and the leaderboard
+   - The page owns quest loading and progress; it calls QuestUI.showQuest()
+     for each quest it renders
+   - Votes go through a ratings backend (see "Backends"); pick one with
+     window.MCQ_RATINGS before this script loads:
+       { backend: "supabase", restUrl, anonKey, tables: {...} }   Supabase REST
+                                                                  (or anything PostgREST-compatible)
+       { backend: "local" }                                        this device only (default)
+   - The old window.SUPABASE_* globals still select the Supabase backend
 */
 
-const RAW_BASE = "https://raw.githubusercontent.com/NAGOHUSA/MCQUESTS/main/quests";
-const CONTENTS_API = "https://api.github.com/repos/NAGOHUSA/MCQUESTS/contents/quests";
-
+(function(){
 const $ = (sel)=>document.querySelector(sel);
-const todayStr = (d=new Date())=>{
-  const y = d.getFullYear();
-  const m = String(d.getMonth()+1).padStart(2,'0');
-  const dd = String(d.getDate()).padStart(2,'0');
-  return `${y}-${m}-${dd}`;
-};
 const fmt = (n)=>Number(n||0).toLocaleString();
+const DATE_RX = /^\d{4}-\d{2}-\d{2}$/;
 function toast(el,msg,cls=""){ el.textContent = msg; el.className = `hint ${cls}`; }
 
-/** ===== State ===== */
-let currentQuest = null;
-let selectedStars = 0;
-let userId = localStorage.getItem("mcq_userid");
-if(!userId){
-  userId = "u_" + Math.random().toString(36).slice(2) + Date.now().toString(36);
-  localStorage.setItem("mcq_userid", userId);
-}
+/** =========================
+ *  Backends
+ *  Every backend has the same shape:
+ *    name                          shown next to the leaderboard
+ *    shared                        true when other players' votes count too
+ *    rate({ date, theme, stars })  resolves true once stored
+ *    stats(date)                   → { count, avg }
+ *    leaderboard(limit)            → [{ date, theme, count, avg }], best first
+ *  ========================= */
+const SUPABASE_TABLES = {
+  ratings: "ratings",          // rows: date, theme, stars, ua, user_hash
+  votes: "votes",              // older rows: date, theme, option (fun/okay/hard), ua, user_hash
+  ratingsAgg: "ratings_agg",   // view: date, theme, count, avg
+  votesAgg: "votes_agg",       // view: date, option, count
+};
+const OPTION_STARS = { fun: 5, okay: 3, hard: 2 };
 
-/** ===== Fetch a quest JSON by date ===== */
-async function getQuest(date){
-  const url = `${RAW_BASE}/${date}.json`;
-  const res = await fetch(url, {cache:"no-store"});
-  if(!res.ok) throw new Error(`Quest ${date} not found (${res.status})`);
-  return res.json();
+async function sha16(s){
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(s));
+  return Array.from(new Uint8Array(buf)).map(b=>b.toString(16).padStart(2,"0")).join("").slice(0,16);
 }
 
-/** ===== Load today's quest, fallback to latest in archive ===== */
-async function loadToday(){
-  const date = todayStr();
-  $("#questDate").textContent = date;
-  try{
-    currentQuest = await getQuest(date);
-    renderQuest(currentQuest, date);
-  }catch(e){
-    const items = await (await fetch(CONTENTS_API, {cache:"no-store"})).json();
-    const files = (Array.isArray(items)?items:[]).filter(x=>x.type==="file" && x.name.endsWith(".json"));
-    if(!files.length) throw e;
-    files.sort((a,b)=> b.name.localeCompare(a.name));
-    const latest = files[0].name.replace(".json","");
-    $("#questDate").textContent = `${date} (showing latest available: ${latest})`;
-    currentQuest = await getQuest(latest);
-    renderQuest(currentQuest, latest);
+// A random id per player, kept as an mcq:* key so a progress import carries it to their other
+// devices; the service dedupes on its hash (ratings-server.js allows one rating per id per quest).
+function voterId(){
+  const KEY = "mcq:voter";
+  let id = localStorage.getItem(KEY);
+  if(!id){
+    id = Array.from(crypto.getRandomValues(new Uint8Array(16)), b=>b.toString(16).padStart(2,"0")).join("");
+    localStorage.setItem(KEY, id);
   }
+  return id;
 }
 
-/** ===== Render quest + completion checkboxes ===== */
-function renderQuest(q, dateKey){
-  $("#questLoading").style.display="none";
-  $("#questBox").style.display="block";
-
-  const title = q.title || q.name || q.questTitle || "Untitled Quest";
-  const lore  = q.lore || q.description || q.flavor || "";
-  const steps = q.steps || q.objectives || q.tasks || [];
-  const biome = q.biome || q.biome_hint || "Any";
-  const reward = q.reward || q.points || "Bragging rights";
-  const id = q.id || dateKey;
-  const theme = q.theme || "Weekly Theme";
-  const color = q.color || "#5c7cfa";
-
-  document.documentElement.style.setProperty("--accent", color);
-
-  $("#questTitle").textContent = title;
-  $("#questLore").textContent = lore;
-  $("#questBiome").textContent = "Biome: " + biome;
-  $("#questReward").textContent = "Reward: " + reward;
-  $("#questTheme").textContent = "Theme: " + theme;
-  $("#questId").textContent = id;
+// Per-date { count, sum } from votes_agg rows (fun/okay/hard → 5/3/2 stars).
+function votesByDate(rows){
+  return (Array.isArray(rows)?rows:[]).reduce((m,row)=>{
+    const c = Number(row.count||0);
+    m[row.date] = m[row.date] || {date:row.date, count:0, sum:0};
+    m[row.date].count += c;
+    m[row.date].sum += c*(OPTION_STARS[row.option]||2);
+    return m;
+  },{});
+}
 
-  const list = $("#questSteps");
-  list.innerHTML = "";
-  const key = (i)=>`mcq:${id}:step:${i}:done`;
-  const checkRender = ()=>{
-    const total = steps.length;
-    const done = steps.filter((_,i)=> localStorage.getItem(key(i))==="1").length;
-    $("#questProgress").textContent = `Progress: ${done}/${total} steps complete`;
+function supabaseBackend({ restUrl, anonKey, tables = {}, compatVotes = false }){
+  const t = { ...SUPABASE_TABLES, ...tables };
+  const headers = { "apikey": anonKey, "Authorization": `Bearer ${anonKey}` };
+  const get = async (path)=>{
+    const res = await fetch(`${restUrl}/${path}`, { headers, cache:"no-store" });
+    if(!res.ok) throw new Error(`${path}: ${res.status}`);
+    return res.json();
   };
-  (steps || []).slice(0,3).forEach((s,i)=>{
-    const wrap = document.createElement("div");
-    wrap.className = "step";
-    const chk = document.createElement("input");
-    chk.type = "checkbox";
-    chk.className = "chk";
-    chk.checked = localStorage.getItem(key(i))==="1";
-    const label = document.createElement("span");
-    label.textContent = s;
-    wrap.appendChild(chk); wrap.appendChild(label);
-    if(chk.checked) wrap.classList.add("done");
-    chk.addEventListener("change", ()=>{
-      localStorage.setItem(key(i), chk.checked ? "1" : "0");
-      wrap.classList.toggle("done", chk.checked);
-      checkRender();
+  const insert = async (table, row)=>{
+    const user_hash = await sha16(voterId());
+    return fetch(`${restUrl}/${table}`, {
+      method:"POST",
+      headers:{ ...headers, "Content-Type":"application/json", "Prefer":"return=minimal" },
+      body: JSON.stringify({ ...row, ua: navigator.userAgent, user_hash })
     });
-    list.appendChild(wrap);
-  });
-  checkRender();
+  };
+  // 409: this player's rating is already in (another device, or a lost local flag).
+  const accepted = (res)=> res.ok || res.status === 409;
+  return {
+    name: "Supabase",
+    shared: true,
+    // Star ratings first; installs that only have the older votes table (404) get fun/okay/hard.
+    async rate({date,theme,stars}){
+      const option = stars>=4 ? "fun" : (stars===3 ? "okay" : "hard");
+      if(!compatVotes){
+        const res = await insert(t.ratings, {date,theme,stars});
+        if(accepted(res)) return true;
+        if(res.status !== 404) throw new Error(`insert failed (${res.status})`);
+      }
+      const res = await insert(t.votes, {date,theme,option});
+      if(accepted(res)) return true;
+      throw new Error(`insert failed (${res.status})`);
+    },
+    async stats(date){
+      try{
+        const arr = await get(`${t.ratingsAgg}?date=eq.${encodeURIComponent(date)}`);
+        if(Array.isArray(arr) && arr.length) return { count: Number(arr[0].count||0), avg: Number(arr[0].avg||0) };
+      }catch(_){}
+      try{
+        const stat = votesByDate(await get(`${t.votesAgg}?date=eq.${encodeURIComponent(date)}`))[date] || {count:0,sum:0};
+        return { count: stat.count, avg: stat.count ? stat.sum/stat.count : 0 };
+      }catch(_){}
+      return { count: 0, avg: 0 };
+    },
+    async leaderboard(limit=10){
+      try{
+        const arr = await get(`${t.ratingsAgg}?select=date,theme,count,avg&order=avg.desc,count.desc&limit=${limit}`);
+        if(Array.isArray(arr) && arr.length) return arr.map(x=>({date:x.date, theme:x.theme, count:Number(x.count), avg:Number(x.avg)}));
+      }catch(_){}
+      try{
+        const arr = Object.values(votesByDate(await get(`${t.votesAgg}?select=date,option,count&limit=10000`)))
+          .map(x=>({date:x.date, theme:"—", count:x.count, avg: x.count? x.sum/x.count : 0}));
+        arr.sort((a,b)=> b.avg - a.avg || b.count - a.count);
+        return arr.slice(0, limit);
+      }catch(_){}
+      return [];
+    }
+  };
+}
 
-  // load stats + voting guard
-  loadStats(id, theme);
-  const votedKey = `voted-${id}`;
-  if(localStorage.getItem(votedKey)){
-    $("#voteBtn").disabled = true;
-    toast($("#voteMsg"), "You already voted for this quest on this device.", "success");
-  }else{
-    toast($("#voteMsg"), "Tap a star, then Submit Vote.");
-  }
+// Ratings kept on this device (an mcq:* key, so they travel with a progress export).
+function localBackend(storage = localStorage, KEY = "mcq:ratings"){
+  const load = ()=>{ try { return JSON.parse(storage.getItem(KEY)||"{}") || {}; } catch { return {}; } };
+  return {
+    name: "this device",
+    shared: false,
+    async rate({date,theme,stars}){
+      const all = load();
+      all[date] = { theme, stars };
+      storage.setItem(KEY, JSON.stringify(all));
+      return true;
+    },
+    async stats(date){
+      const r = load()[date];
+      return r ? { count: 1, avg: r.stars } : { count: 0, avg: 0 };
+    },
+    async leaderboard(limit=10){
+      return Object.entries(load())
+        .map(([date,r])=>({date, theme:r.theme, count:1, avg:Number(r.stars)}))
+        .sort((a,b)=> b.avg - a.avg || b.date.localeCompare(a.date))
+        .slice(0, limit);
+    }
+  };
 }
 
-/** ===== Stars UI ===== */
-function wireStars(){
-  const stars = [...document.querySelectorAll(".star")];
-  stars.forEach(st=>{
-    st.addEventListener("click", ()=>{
-      selectedStars = Number(st.dataset.star);
-      stars.forEach((el,i)=> el.classList.toggle("off", (i+1)>selectedStars));
+function configuredBackend(){
+  const cfg = { ...(window.MCQ_RATINGS || {}) };
+  if(!cfg.backend && window.SUPABASE_REST_URL && window.SUPABASE_ANON_KEY){
+    Object.assign(cfg, {
+      backend: "supabase",
+      restUrl: window.SUPABASE_REST_URL,
+      anonKey: window.SUPABASE_ANON_KEY,
+      compatVotes: !!window.SUPABASE_COMPAT_VOTES,
+      tables: Object.fromEntries(Object.entries({
+        ratings: window.SUPABASE_TABLE_RATINGS, votes: window.SUPABASE_TABLE_VOTES,
+        ratingsAgg: window.SUPABASE_VIEW_RATINGS_AGG, votesAgg: window.SUPABASE_VIEW_VOTES_AGG,
+      }).filter(([,v])=>v)),
     });
-  });
+  }
+  if(cfg.backend === "supabase" && cfg.restUrl && cfg.anonKey) return supabaseBackend(cfg);
+  return localBackend();
 }
 
-/** =========================
- *  SUPABASE helpers (optional)
- *  ========================= */
-function supaCfgOk(){
-  return !!(window.SUPABASE_REST_URL && window.SUPABASE_ANON_KEY);
+/** ===== State ===== */
+let backend = null;
+let current = null;      // { date, theme }
+let selectedStars = 0;
+let openDate = ()=>{};
+let scope = "";         // "<group>/" for a group stream, like the page's progress keys
+const votedKey = (date)=>`mcq:${scope}${date}:rated`;
+
+// Earlier builds kept "voted-<date>" keys; move them next to the rest of the progress.
+function migrateVotedKeys(){
+  try{
+    Object.keys(localStorage).filter(k=>/^voted-\d{4}-\d{2}-\d{2}$/.test(k)).forEach(k=>{
+      const date = k.slice(6);
+      if(!localStorage.getItem(`mcq:${date}:rated`)) localStorage.setItem(`mcq:${date}:rated`, localStorage.getItem(k));
+      localStorage.removeItem(k);
+    });
+  }catch(_){}
 }
-async function supaInsertRating({date,theme,stars}){
-  const url = `${window.SUPABASE_REST_URL}/${window.SUPABASE_TABLE_RATINGS}`;
-  const user_hash = await sha16(navigator.userAgent + new Date().toDateString());
-  const payload = { date, theme, stars, ua: navigator.userAgent, user_hash };
-  const res = await fetch(url, {
-    method:"POST",
-    headers:{
-      "Content-Type":"application/json",
-      "apikey": window.SUPABASE_ANON_KEY,
-      "Authorization": `Bearer ${window.SUPABASE_ANON_KEY}`,
-      "Prefer":"return=minimal"
-    },
-    body: JSON.stringify(payload)
+
+/** ===== Stars UI ===== */
+function renderStars(){
+  document.querySelectorAll("#stars .star").forEach((el,i)=>{
+    el.classList.toggle("off", (i+1)>selectedStars);
+    el.setAttribute("aria-pressed", String(i+1===selectedStars));
   });
-  return res.ok;
 }
-async function supaInsertVoteCompat({date,theme,stars}){
-  const option = stars>=4 ? "fun" : (stars===3 ? "okay" : "hard");
-  const url = `${window.SUPABASE_REST_URL}/${window.SUPABASE_TABLE_VOTES}`;
-  const user_hash = await sha16(navigator.userAgent + new Date().toDateString());
-  const payload = { date, theme, option, ua: navigator.userAgent, user_hash };
-  const res = await fetch(url, {
-    method:"POST",
-    headers:{
-      "Content-Type":"application/json",
-      "apikey": window.SUPABASE_ANON_KEY,
-      "Authorization": `Bearer ${window.SUPABASE_ANON_KEY}`,
-      "Prefer":"return=minimal"
-    },
-    body: JSON.stringify(payload)
+function wireStars(){
+  $("#stars").addEventListener("click", (e)=>{
+    const st = e.target.closest(".star");
+    if(!st || $("#voteBtn").disabled) return;
+    selectedStars = Number(st.dataset.star);
+    renderStars();
   });
-  return res.ok;
-}
-async function supaGetAggregate(date){
-  const urlRatings = `${window.SUPABASE_REST_URL}/${window.SUPABASE_VIEW_RATINGS_AGG}?date=eq.${encodeURIComponent(date)}`;
-  const urlVotes = `${window.SUPABASE_REST_URL}/${window.SUPABASE_VIEW_VOTES_AGG}?date=eq.${encodeURIComponent(date)}`;
-  const headers = { "apikey": window.SUPABASE_ANON_KEY, "Authorization": `Bearer ${window.SUPABASE_ANON_KEY}` };
-  try{
-    const r = await fetch(urlRatings, { headers, cache:"no-store" });
-    if(r.ok){
-      const arr = await r.json();
-      if(Array.isArray(arr) && arr.length){
-        const row = arr[0];
-        return { count: Number(row.count||0), avg: Number(row.avg||0) };
-      }
-    }
-  }catch(_) {}
-  try{
-    const r = await fetch(urlVotes, { headers, cache:"no-store" });
-    if(r.ok){
-      const rows = await r.json();
-      const by = rows.reduce((m,row)=>{
-        const d = row.date;
-        const c = Number(row.count||0);
-        const val = row.option==="fun"?5: row.option==="okay"?3:2;
-        m[d] = m[d] || {count:0,sum:0};
-        m[d].count += c; m[d].sum += c*val;
-        return m;
-      },{});
-      const stat = by[date] || {count:0,sum:0};
-      return { count: stat.count, avg: stat.count ? stat.sum/stat.count : 0 };
-    }
-  }catch(_) {}
-  return { count: 0, avg: 0 };
 }
-async function supaGetLeaderboard(limit=10){
-  const urlRatings = `${window.SUPABASE_REST_URL}/${window.SUPABASE_VIEW_RATINGS_AGG}?select=date,theme,count,avg&order=avg.desc,count.desc&limit=${limit}`;
-  const urlVotes = `${window.SUPABASE_REST_URL}/${window.SUPABASE_VIEW_VOTES_AGG}?select=date,option,count&limit=10000`;
-  const headers = { "apikey": window.SUPABASE_ANON_KEY, "Authorization": `Bearer ${window.SUPABASE_ANON_KEY}` };
-  try{
-    const r = await fetch(urlRatings, { headers, cache:"no-store" });
-    if(r.ok){
-      const arr = await r.json();
-      if(Array.isArray(arr) && arr.length) return arr.map(x=>({date:x.date, theme:x.theme, count:Number(x.count), avg:Number(x.avg)}));
-    }
-  }catch(_){}
-  try{
-    const r = await fetch(urlVotes, { headers, cache:"no-store" });
-    if(r.ok){
-      const rows = await r.json();
-      const byDate = {};
-      rows.forEach(row=>{
-        const d = row.date;
-        byDate[d] = byDate[d] || {date:d, count:0, sum:0};
-        const c = Number(row.count||0);
-        const val = row.option==="fun"?5: row.option==="okay"?3:2;
-        byDate[d].count += c;
-        byDate[d].sum += c*val;
-      });
-      const arr = Object.values(byDate).map(x=>({date:x.date, theme:"—", count:x.count, avg: x.count? x.sum/x.count : 0}));
-      arr.sort((a,b)=> b.avg - a.avg || b.count - a.count);
-      return arr.slice(0, limit);
-    }
-  }catch(_){}
-  return [];
-}
-async function sha16(s){
-  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(s));
-  return Array.from(new Uint8Array(buf)).map(b=>b.toString(16).padStart(2,"0")).join("").slice(0,16);
+
+/** ===== Stats for a given date ===== */
+async function loadStats(date){
+  const stats = await backend.stats(date);
+  if(current?.date !== date) return;
+  $("#statsLine").textContent = stats.count ? `Ratings: ${fmt(stats.count)} • Avg ${Number(stats.avg||0).toFixed(2)} ★` : `Ratings: —`;
 }
 
 /** ===== Submit vote ===== */
 async function submitVote(){
-  if(!supaCfgOk()){
-    toast($("#voteMsg"), "Voting disabled (no Supabase config).", "warn");
-    return;
-  }
-  if(!currentQuest){ return; }
-  if(!selectedStars){ toast($("#voteMsg"), "Choose a rating first (1–5 stars).", "warn"); return;}
-
-  const dateKey = $("#questId").textContent || todayStr();
-  const theme = $("#questTheme").textContent.replace(/^Theme:\s*/,'') || "Theme";
-  const votedKey = `voted-${dateKey}`;
-  if(localStorage.getItem(votedKey)){
-    toast($("#voteMsg"), "You already voted for this quest on this device.", "success"); return;
+  if(!current) return;
+  if(!selectedStars){ toast($("#voteMsg"), "Choose a rating first (1–5 stars).", "warn"); return; }
+  const { date, theme } = current;
+  if(localStorage.getItem(votedKey(date))){
+    toast($("#voteMsg"), "You already rated this quest on this device.", "success"); return;
   }
 
   $("#voteBtn").disabled = true;
-  toast($("#voteMsg"), "Submitting your vote…");
-
+  toast($("#voteMsg"), "Saving your rating…");
   try{
-    let ok = false;
-    if(!window.SUPABASE_COMPAT_VOTES){
-      ok = await supaInsertRating({date:dateKey, theme, stars:selectedStars});
-      if(!ok){
-        ok = await supaInsertVoteCompat({date:dateKey, theme, stars:selectedStars});
-      }
-    }else{
-      ok = await supaInsertVoteCompat({date:dateKey, theme, stars:selectedStars});
-    }
-    if(!ok) throw new Error("insert failed");
-    localStorage.setItem(votedKey, String(selectedStars));
-    toast($("#voteMsg"), "Vote saved. Thank you!", "success");
-    const stats = await supaGetAggregate(dateKey);
-    $("#statsLine").textContent = `Ratings: ${fmt(stats.count)} • Avg ${Number(stats.avg||0).toFixed(2)} ★`;
+    await backend.rate({date, theme, stars:selectedStars});
+    localStorage.setItem(votedKey(date), String(selectedStars));
+    toast($("#voteMsg"), "Rating saved. Thank you!", "success");
+    await loadStats(date);
+    loadLeaderboard();
   }catch(err){
     console.error(err);
     $("#voteBtn").disabled = false;
-    toast($("#voteMsg"), "Could not submit vote. Try again later.", "warn");
-  }
-}
-
-/** ===== Stats for a given date ===== */
-async function loadStats(dateKey){
-  if(!supaCfgOk()){
-    $("#statsLine").textContent = `Ratings: —`;
-    return;
+    toast($("#voteMsg"), "Could not save your rating. Try again later.", "warn");
   }
-  const stats = await supaGetAggregate(dateKey);
-  $("#statsLine").textContent = stats.count ? `Ratings: ${fmt(stats.count)} • Avg ${Number(stats.avg||0).toFixed(2)} ★` : `Ratings: —`;
 }
 
 /** ===== Leaderboard ===== */
 async function loadLeaderboard(){
   const wrap = $("#lbWrap");
-  if(!supaCfgOk()){
-    wrap.innerHTML = `<div class="muted">Leaderboard disabled (no Supabase config).</div>`;
-    return;
-  }
-  const rows = await supaGetLeaderboard(10);
+  const rows = await backend.leaderboard(10);
+  $("#lbSource").textContent = backend.shared ? `(all players, via ${backend.name})` : `(rated on ${backend.name})`;
   if(!rows.length){ wrap.innerHTML = `<div class="muted">No ratings yet.</div>`; return; }
+  // Rows come from the backend (or an imported progress code): text only, never markup.
+  const cell = (tag, text)=>{ const el = document.createElement(tag); el.textContent = text; return el; };
   const table = document.createElement("table");
-  table.innerHTML = `
-    <thead><tr><th>#</th><th>Date</th><th>Avg ★</th><th>Votes</th><th></th></tr></thead>
-    <tbody>${rows.map((r,i)=>`
-      <tr>
-        <td>${i+1}</td>
-        <td><a href="#" data-date="${r.date}" class="open-date">${r.date}</a></td>
-        <td>${(r.avg||0).toFixed(2)}</td>
-        <td>${fmt(Number(r.count||0))}</td>
-        <td><span class="lb-pill">${r.theme||"—"}</span></td>
-      </tr>`).join("")}</tbody>
-  `;
-  wrap.innerHTML = "";
-  wrap.appendChild(table);
-
-  wrap.querySelectorAll("a.open-date").forEach(a=>{
-    a.addEventListener("click", async e=>{
-      e.preventDefault();
-      const date = a.dataset.date;
-      try{
-        const q = await getQuest(date);
-        $("#questDate").textContent = date;
-        currentQuest = q;
-        renderQuest(q, date);
-        window.scrollTo({top:0,behavior:"smooth"});
-      }catch(_){ alert("Quest JSON not found for that date."); }
-    });
+  table.className = "lb";
+  const head = table.createTHead().insertRow();
+  ["#", "Date", "Avg ★", "Votes", "Theme"].forEach(h=>head.appendChild(cell("th", h)));
+  const body = table.createTBody();
+  rows.forEach((r,i)=>{
+    const tr = body.insertRow();
+    const date = String(r.date ?? "");
+    const dateCell = document.createElement("td");
+    if(DATE_RX.test(date)){
+      const a = cell("a", date);
+      a.href = "#";
+      a.dataset.date = date;
+      dateCell.appendChild(a);
+    } else dateCell.textContent = date;
+    tr.append(cell("td", String(i+1)), dateCell, cell("td", (Number(r.avg)||0).toFixed(2)), cell("td", fmt(Number(r.count)||0)), cell("td", String(r.theme || "—")));
   });
+  wrap.replaceChildren(table);
 }
 
-/** ===== Archive ===== */
-async function loadArchive(){
-  const res = await fetch(CONTENTS_API, {cache:"no-store"});
-  const items = await res.json();
-  const files = (Array.isArray(items)?items:[]).filter(x=>x.type==="file" && x.name.endsWith(".json"));
-  files.sort((a,b)=> b.name.localeCompare(a.name));
-  const container = $("#archiveList");
-  container.innerHTML = "";
-  if(!files.length){ container.innerHTML = `<div class="muted">No quests found yet.</div>`; return; }
-
-  files.forEach(f=>{
-    const date = f.name.replace(".json","");
-    const el = document.createElement("a");
-    el.href="#";
-    el.innerHTML = `<span>${date}</span><span class="muted">open</span>`;
-    el.addEventListener("click", async (e)=>{
-      e.preventDefault();
-      try{
-        const q = await getQuest(date);
-        $("#questDate").textContent = `${date}`;
-        currentQuest = q;
-        renderQuest(q, date);
-        window.scrollTo({top:0,behavior:"smooth"});
-      }catch(err){ alert("Could not load that quest."); }
+/** ===== Page hooks ===== */
+window.QuestUI = {
+  // openDate(date) shows a quest in the page (leaderboard links). Group streams
+  // (opts.scope) are rated on the device only: shared tables are keyed by date alone.
+  init(opts = {}){
+    openDate = opts.openDate || openDate;
+    scope = opts.scope || "";
+    backend = opts.backend || (scope ? localBackend(localStorage, `mcq:${scope}ratings`) : configuredBackend());
+    migrateVotedKeys();
+    wireStars();
+    $("#voteBtn").addEventListener("click", submitVote);
+    $("#lbWrap").addEventListener("click", (e)=>{
+      const a = e.target.closest("a[data-date]");
+      if(a){ e.preventDefault(); openDate(a.dataset.date); }
     });
-    container.appendChild(el);
-  });
-}
-
-/** ===== Init ===== */
-document.addEventListener("DOMContentLoaded", async ()=>{
-  wireStars();
-  $("#voteBtn").addEventListener("click", submitVote);
-  try{
-    await loadToday();
-  }catch(err){
-    $("#questLoading").textContent = "No quest found yet for today.";
-  }
-  loadArchive();
-  loadLeaderboard();
-});
+    loadLeaderboard().catch(()=>{ $("#lbWrap").innerHTML = `<div class="muted">Leaderboard not available.</div>`; });
+  },
+  // Called by the page for every quest it renders.
+  showQuest(q, date){
+    current = { date, theme: q.theme || "Theme" };
+    const voted = Number(localStorage.getItem(votedKey(date))||0);
+    selectedStars = voted;
+    renderStars();
+    $("#voteBtn").disabled = !!voted;
+    toast($("#voteMsg"), voted ? "You already rated this quest on this device." : "Tap a star, then Rate.", voted ? "success" : "");
+    $("#statsLine").textContent = "Ratings: …";
+    loadStats(date).catch(()=>{ $("#statsLine").textContent = "Ratings: —"; });
+  },
+  backends: { supabase: supabaseBackend, local: localBackend },
+};
+})();
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Self-hosted ratings service (ESM, no dependencies)
+ * - Stands in for the Supabase tables the page's "supabase" ratings backend
+ *   talks to (quest-ui.js), with the same PostgREST-style endpoints:
+ *     POST /ratings                   { date, theme, stars, user_hash }
+ *     POST /votes                     { date, theme, option, user_hash }  (older fun/okay/hard votes)
+ *     GET  /ratings_agg?date=eq.X     → [{ date, theme, count, avg }]
+ *     GET  /ratings_agg?order=avg.desc,count.desc&limit=10
+ * - Stores to a JSON-lines file (lib/ratings.js); one rating per voter per
+ *   quest date, capped per network, plus per-IP rate limits
+ * - Only dates with a published quest (--quests, default quests/) can be rated,
+ *   and always under that quest's theme whatever the client sends
+ * - --key (or RATINGS_ANON_KEY) makes the `apikey` header required
+ *
+ * Usage:
+ *   node ratings-server.js
+ *   node ratings-server.js --port=8787 --db=./data/ratings.jsonl --quests=./quests
+ *   node ratings-server.js --host=0.0.0.0 --origin=https://mcquests.nagoh.us --key=local-anon
+ *   node ratings-server.js --trust-proxy      (client IP from X-Forwarded-For)
+ *
+ * Point the page at it in index.html:
+ *   window.MCQ_RATINGS = { backend: "supabase", restUrl: "http://localhost:8787", anonKey: "local-anon" };
+ */
+
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { openRatingsStore, questThemes, ratingProblems, createRateLimiter, queryRows, OPTION_STARS } from "./lib/ratings.js";
+
+const argv = process.argv.slice(2);
+const flag = name => argv.find(a => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+const hasFlag = name => argv.includes(`--${name}`);
+
+const PORT = Number(flag("port") || process.env.PORT || 8787);
+const HOST = flag("host") || "127.0.0.1";
+const DB = path.resolve(flag("db") || process.env.RATINGS_DB || "data/ratings.jsonl");
+const QUESTS = path.resolve(flag("quests") || "quests");
+const ORIGIN = flag("origin") || "*";
+const KEY = flag("key") || process.env.RATINGS_ANON_KEY || "";
+const TRUST_PROXY = hasFlag("trust-proxy");
+const MAX_BODY = 4096;
+
+// Writes are scarce, reads are cheap; both per client IP.
+const writeLimit = createRateLimiter({ max: 10, windowMs: 60_000 });
+const readLimit = createRateLimiter({ max: 240, windowMs: 60_000 });
+
+/* --------------------------------- Helpers --------------------------------- */
+function clientIp(req) {
+  const forwarded = TRUST_PROXY && req.headers["x-forwarded-for"];
+  return forwarded ? forwarded.split(",")[0].trim() : req.socket.remoteAddress || "";
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": ORIGIN,
+    "Access-Control-Allow-Headers": "apikey, authorization, content-type, prefer",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    ...(body !== undefined && { "Content-Type": "application/json; charset=utf-8" }),
+    ...headers,
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+// PostgREST error shape: { code, message, details }.
+const fail = (res, status, message, details, headers) => send(res, status, { code: String(status), message, details: details ?? null }, headers);
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", c => {
+      size += c.length;
+      if (size > MAX_BODY) reject(new Error("body too large"));
+      else chunks.push(c);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/* --------------------------------- Routes ---------------------------------- */
+async function insert(req, res, store, { votes }) {
+  const limit = writeLimit.take(clientIp(req));
+  if (!limit.ok) return fail(res, 429, "too many requests", null, { "Retry-After": String(limit.retryAfter) });
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (err) {
+    return fail(res, 400, err.message === "body too large" ? "body too large" : "body must be JSON");
+  }
+  const problems = ratingProblems(body, { votes });
+  if (problems.length) return fail(res, 400, "invalid rating", problems.join("; "));
+
+  const stars = votes ? OPTION_STARS[body.option] : body.stars;
+  const result = store.add({ ...body, stars }, clientIp(req));
+  if (!result.ok) return fail(res, result.status, result.message);
+  send(res, 201);
+}
+
+function aggregate(req, res, store, url) {
+  const limit = readLimit.take(clientIp(req));
+  if (!limit.ok) return fail(res, 429, "too many requests", null, { "Retry-After": String(limit.retryAfter) });
+  const { rows, problem } = queryRows(store.aggregate(), url.searchParams);
+  if (problem) return fail(res, 400, problem);
+  send(res, 200, rows);
+}
+
+function handler(store) {
+  return async (req, res) => {
+    try {
+      if (req.method === "OPTIONS") return send(res, 204);
+      if (KEY && req.headers.apikey !== KEY) return fail(res, 401, "missing or wrong apikey");
+      const url = new URL(req.url, "http://localhost");
+      const route = `${req.method} ${url.pathname.replace(/\/+$/, "")}`;
+      if (route === "POST /ratings") return await insert(req, res, store, { votes: false });
+      if (route === "POST /votes") return await insert(req, res, store, { votes: true });
+      if (route === "GET /ratings_agg") return aggregate(req, res, store, url);
+      fail(res, 404, `no route for ${req.method} ${url.pathname}`);
+    } catch (err) {
+      console.error(err);
+      if (!res.headersSent) fail(res, 500, "internal error");
+    }
+  };
+}
+
+/* --------------------------------- Main ------------------------------------ */
+fs.mkdirSync(path.dirname(DB), { recursive: true });
+const store = openRatingsStore(DB, { themeFor: questThemes(QUESTS) });
+http.createServer(handler(store)).listen(PORT, HOST, () => {
+  console.log(`Ratings service on http://${HOST}:${PORT} (${store.size} ratings in ${path.relative(process.cwd(), DB)})`);
+  if (!KEY) console.log("No --key set: any client may read and write.");
+});
@@ -0,0 +1,124 @@
+/**
+ * Service worker for the quest page (offline + install)
+ * - Precaches the page shell, quests/index.json, meta.json and this week's plus next
+ *   week's quest files (all audience variants that exist)
+ * - Serves everything stale-while-revalidate: the saved copy right away, the
+ *   network copy saved for next time
+ * - Tells open pages when a revalidated quest file or index changed, so a new
+ *   day's quest shows up without a second reload
+ * - The page sends { type: "precache", base, today } on load so group streams
+ *   (quests/groups/<name>) and the player's own "today" get cached too
+ *
+ * Try it locally (service workers need http://localhost or https):
+ *   python3 -m http.server 8080   →   http://localhost:8080/
+ */
+
+const SHELL_CACHE = "mcq-shell-v3";
+const DATA_CACHE = "mcq-data-v1";
+const SHELL = ["./", "./index.html", "./quest-ui.js", "./manifest.webmanifest", "./icon.svg"];
+const VARIANTS = ["young", "veteran"];
+const PRECACHE_DAYS = 14; // Monday of this week through Sunday of next week
+const MAX_DATA_ENTRIES = 150;
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+/* ------------------------------- Date helpers ------------------------------ */
+function addDays(date, n) {
+  const d = new Date(date + "T12:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function mondayOf(date) {
+  return addDays(date, -((new Date(date + "T12:00:00Z").getUTCDay() + 6) % 7));
+}
+
+/* -------------------------------- Precache --------------------------------- */
+const scoped = path => new URL(path, self.registration.scope).href;
+
+// index.json plus every file of the two weeks around `today` (and the newest quest).
+async function precacheQuests(base, today) {
+  const cache = await caches.open(DATA_CACHE);
+  const res = await fetch(scoped(`${base}/index.json`), { cache: "no-store" });
+  if (!res.ok) return;
+  await cache.put(scoped(`${base}/index.json`), res.clone());
+  const published = await res.json();
+  if (!Array.isArray(published)) return;
+  const wanted = new Set(Array.from({ length: PRECACHE_DAYS }, (_, i) => addDays(mondayOf(today), i)));
+  const newest = published.reduce((a, d) => (d > a ? d : a), "");
+  const days = published.filter(d => wanted.has(d) || d === newest);
+  const files = ["meta.json", ...days.flatMap(d => [`${d}.json`, ...VARIANTS.map(v => `${d}.${v}.json`)])];
+  await Promise.all(files.map(async f => {
+    try {
+      const r = await fetch(scoped(`${base}/${f}`), { cache: "no-store" });
+      if (r.ok) await cache.put(scoped(`${base}/${f}`), r);
+    } catch {}
+  }));
+  await trim(cache);
+}
+
+// Oldest entries go first once the data cache grows past its cap.
+async function trim(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_DATA_ENTRIES)).map(k => cache.delete(k)));
+}
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    await (await caches.open(SHELL_CACHE)).addAll(SHELL);
+    try { await precacheQuests("./quests", new Date().toISOString().slice(0, 10)); } catch {}
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE];
+    await Promise.all((await caches.keys()).filter(k => !keep.includes(k)).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("message", event => {
+  const { type, base, today } = event.data || {};
+  if (type !== "precache" || typeof base !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(today)) return;
+  event.waitUntil(precacheQuests(base, today).catch(() => {}));
+});
+
+/* ----------------------------- Stale-while-revalidate ---------------------- */
+async function notifyChanged(url) {
+  for (const client of await self.clients.matchAll()) client.postMessage({ type: "updated", url });
+}
+
+async function staleWhileRevalidate(event) {
+  const req = event.request;
+  const url = new URL(req.url);
+  // Every URL of the page (?group=..., ?date=...) shares one saved copy; other
+  // pages (quests/DATE.html share pages) are saved as themselves.
+  const isPage = req.mode === "navigate" && [scoped("./"), scoped("./index.html")].includes(url.origin + url.pathname);
+  const key = isPage ? scoped("./index.html") : req;
+  const cached = await caches.match(key);
+  const cacheName = url.pathname.endsWith(".json") ? DATA_CACHE : SHELL_CACHE;
+  // Read before the saved copy is handed to the page, which uses up its body.
+  const cachedText = cached && cacheName === DATA_CACHE ? cached.clone().text() : null;
+
+  const network = fetch(req).then(async res => {
+    if (res.ok || res.type === "opaque") {
+      if (cachedText && (await cachedText) !== (await res.clone().text())) notifyChanged(req.url);
+      await (await caches.open(cacheName)).put(key, res.clone());
+    }
+    return res;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network.catch(() => new Response("", { status: 503, statusText: "Offline" }));
+}
+
+self.addEventListener("fetch", event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET") return;
+  if (url.origin !== self.location.origin && !FONT_HOSTS.includes(url.hostname)) return;
+  event.respondWith(staleWhileRevalidate(event));
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { easterSunday, nthWeekday, windowRange, dateInWindow, activeHoliday, windowProblems } from "../lib/calendar.js";
+
+test("easterSunday matches published dates across four centuries", () => {
+  const known = {
+    1818: "1818-03-22", 1900: "1900-04-15", 1943: "1943-04-25", 1961: "1961-04-02",
+    2000: "2000-04-23", 2008: "2008-03-23", 2011: "2011-04-24", 2019: "2019-04-21",
+    2024: "2024-03-31", 2025: "2025-04-20", 2026: "2026-04-05", 2038: "2038-04-25",
+    2100: "2100-03-28", 2285: "2285-03-22",
+  };
+  for (const [year, date] of Object.entries(known)) assert.equal(easterSunday(Number(year)), date, `Easter ${year}`);
+});
+
+test("easterSunday stays between March 22 and April 25", () => {
+  for (let year = 1583; year <= 2600; year++) {
+    const md = easterSunday(year).slice(5);
+    assert.ok(md >= "03-22" && md <= "04-25", `${year}: ${md}`);
+    assert.equal(new Date(`${easterSunday(year)}T00:00:00Z`).getUTCDay(), 0, `${year} is a Sunday`);
+  }
+});
+
+test("nthWeekday counts from the start of the month", () => {
+  assert.equal(nthWeekday(2024, 11, "thu", 4), "2024-11-28");
+  assert.equal(nthWeekday(2025, 11, "thu", 4), "2025-11-27");
+  assert.equal(nthWeekday(2030, 11, "thu", 4), "2030-11-28");
+  assert.equal(nthWeekday(2025, 9, "mon", 1), "2025-09-01");
+  assert.equal(nthWeekday(2025, 5, "fri", 5), "2025-05-30");
+});
+
+test("nthWeekday counts from the end of the month for negative nth", () => {
+  assert.equal(nthWeekday(2024, 5, "mon", -1), "2024-05-27");
+  assert.equal(nthWeekday(2025, 5, "mon", -1), "2025-05-26");
+  assert.equal(nthWeekday(2026, 5, "mon", -1), "2026-05-25");
+  assert.equal(nthWeekday(2025, 8, "sun", -1), "2025-08-31");
+  assert.equal(nthWeekday(2020, 2, "sat", -5), "2020-02-01");
+});
+
+test("nthWeekday is null when the month has no such day", () => {
+  assert.equal(nthWeekday(2025, 2, "fri", 5), null);
+  assert.equal(nthWeekday(2025, 2, "fri", -5), null);
+  assert.equal(nthWeekday(2020, 2, "sat", 5), "2020-02-29");
+});
+
+test("a window using a missing 5th weekday doesn't happen that year", () => {
+  const win = { from: { month: 2, weekday: "sat", nth: 5 }, days: 1 };
+  assert.deepEqual(windowRange(win, 2020), { start: "2020-02-29", end: "2020-02-29" });
+  assert.equal(windowRange(win, 2025), null);
+  assert.equal(dateInWindow("2025-03-01", win), false);
+  assert.equal(dateInWindow("2020-02-29", win), true);
+});
+
+test("a window whose end comes before its start runs into the next year", () => {
+  const win = { from: { month: 12, day: 28 }, to: { month: 1, day: 3 } };
+  assert.deepEqual(windowRange(win, 2025), { start: "2025-12-28", end: "2026-01-03" });
+  for (const d of ["2025-12-28", "2025-12-31", "2026-01-01", "2026-01-03"]) assert.equal(dateInWindow(d, win), true, d);
+  for (const d of ["2025-12-27", "2026-01-04", "2026-06-15"]) assert.equal(dateInWindow(d, win), false, d);
+});
+
+test("a days window counts its first day and may cross the year", () => {
+  const thanksgiving = { from: { month: 11, weekday: "thu", nth: 4, offset: -3 }, days: 7 };
+  assert.deepEqual(windowRange(thanksgiving, 2025), { start: "2025-11-24", end: "2025-11-30" });
+  assert.deepEqual(windowRange(thanksgiving, 2026), { start: "2026-11-23", end: "2026-11-29" });
+
+  const newYear = { from: { month: 12, day: 30 }, days: 5 };
+  assert.equal(dateInWindow("2027-01-03", newYear), true);
+  assert.equal(dateInWindow("2027-01-04", newYear), false);
+});
+
+test("easter windows follow Easter each year", () => {
+  const win = { from: { easter: -3 }, to: { easter: 1 } };
+  assert.deepEqual(windowRange(win, 2025), { start: "2025-04-17", end: "2025-04-21" });
+  assert.deepEqual(windowRange(win, 2026), { start: "2026-04-02", end: "2026-04-06" });
+});
+
+test("fixed days past the end of the month clamp", () => {
+  const win = { from: { month: 2, day: 29 }, days: 1 };
+  assert.equal(windowRange(win, 2025).start, "2025-02-28");
+  assert.equal(windowRange(win, 2024).start, "2024-02-29");
+});
+
+test("activeHoliday prefers higher priority, then list order", () => {
+  const winter = { key: "Winter", window: { from: { month: 12, day: 1 }, to: { month: 12, day: 31 } } };
+  const lights = { key: "Lights", window: { from: { month: 12, day: 20 }, to: { month: 1, day: 2 } } };
+  const big = { key: "Big", priority: 5, window: { from: { month: 12, day: 24 }, days: 2 } };
+  const low = { key: "Low", priority: -1, window: { from: { month: 12, day: 1 }, days: 31 } };
+
+  assert.equal(activeHoliday("2025-12-10", [winter, lights])?.key, "Winter");
+  assert.equal(activeHoliday("2025-12-21", [winter, lights])?.key, "Winter");
+  assert.equal(activeHoliday("2025-12-21", [lights, winter])?.key, "Lights");
+  assert.equal(activeHoliday("2025-12-25", [winter, lights, big])?.key, "Big");
+  assert.equal(activeHoliday("2025-12-10", [low, winter])?.key, "Winter");
+  assert.equal(activeHoliday("2026-01-01", [winter, lights])?.key, "Lights");
+  assert.equal(activeHoliday("2026-03-01", [winter, lights]), null);
+});
+
+test("windowProblems checks nth range and to/days", () => {
+  assert.deepEqual(windowProblems({ from: { month: 5, weekday: "mon", nth: -1 }, days: 3 }), []);
+  assert.ok(windowProblems({ from: { month: 5, weekday: "mon", nth: 6 }, days: 3 }).length);
+  assert.ok(windowProblems({ from: { month: 5, day: 1 }, to: { month: 5, day: 2 }, days: 3 }).length);
+});
@@ -0,0 +1,92 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadThemes } from "../lib/themes.js";
+import { addDays } from "../lib/calendar.js";
+import { getISOWeekInfo, weekDates, planForDow, planWeek, planCoop, COOP_ROLE_STEPS } from "../lib/plan.js";
+
+const themes = loadThemes();
+
+// Mondays of every ISO week from 2025 through 2027 (holiday weeks included).
+const mondays = [];
+for (let d = "2024-12-30"; d < "2028-01-01"; d = addDays(d, 7)) mondays.push(d);
+
+test("getISOWeekInfo numbers weeks across year boundaries", () => {
+  assert.deepEqual(getISOWeekInfo("2024-12-30"), { isoYear: 2025, week: 1, dow: 0 });
+  assert.deepEqual(getISOWeekInfo("2027-01-03"), { isoYear: 2026, week: 53, dow: 6 });
+  assert.deepEqual(getISOWeekInfo("2027-01-04"), { isoYear: 2027, week: 1, dow: 0 });
+});
+
+test("weekDates returns Monday through Sunday for any day of the week", () => {
+  const week = ["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23", "2026-10-24", "2026-10-25"];
+  for (const date of week) assert.deepEqual(weekDates(date), week);
+});
+
+test("planWeek ramps 1,2,2,2,3,3,3 steps Monday to Sunday", () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 6].map(dow => planForDow(dow).count), [1, 2, 2, 2, 3, 3, 3]);
+  for (const monday of mondays) {
+    const days = planWeek(monday, themes);
+    assert.deepEqual(days.map(d => d.steps.length), [1, 2, 2, 2, 3, 3, 3], `week of ${monday}`);
+    assert.deepEqual(days.map(d => d.date), weekDates(monday));
+  }
+});
+
+test("planWeek never repeats a step within a week", () => {
+  for (const monday of mondays) {
+    const texts = planWeek(monday, themes).flatMap(d => d.steps.map(s => s.text));
+    assert.equal(new Set(texts).size, texts.length, `week of ${monday}`);
+  }
+});
+
+test("planWeek gives every day of a week the same plan", () => {
+  const week = weekDates("2026-10-19");
+  const plans = week.map(date => JSON.stringify(planWeek(date, themes)));
+  assert.equal(new Set(plans).size, 1);
+});
+
+const difficulty = day => day.steps.reduce((sum, s) => sum + s.difficulty, 0) / day.steps.length;
+
+test("veteran days are never easier than standard ones, young days never harder", () => {
+  for (const monday of mondays) {
+    const standard = planWeek(monday, themes);
+    const veteran = planWeek(monday, themes, new Map(), "veteran");
+    const young = planWeek(monday, themes, new Map(), "young");
+    standard.forEach((day, dow) => {
+      assert.ok(difficulty(veteran[dow]) >= difficulty(day), `veteran ${day.date}`);
+      assert.ok(difficulty(young[dow]) <= difficulty(day), `young ${day.date}`);
+    });
+  }
+});
+
+test("audience variants never repeat a step within a day", () => {
+  for (const monday of mondays) {
+    for (const audience of ["young", "veteran"]) {
+      for (const day of planWeek(monday, themes, new Map(), audience)) {
+        const texts = day.steps.map(s => s.text);
+        assert.equal(new Set(texts).size, texts.length, `${audience} ${day.date}`);
+      }
+    }
+  }
+});
+
+test("planCoop never repeats a step within a week, solo steps included", () => {
+  for (const monday of mondays) {
+    const days = planWeek(monday, themes);
+    const blocks = planCoop(days, themes);
+    assert.equal(blocks.length, 7);
+    const texts = [
+      ...days.flatMap(d => d.steps.map(s => s.text)),
+      ...blocks.flatMap(b => b ? b.roles.flatMap(r => r.steps) : []),
+    ];
+    assert.equal(new Set(texts).size, texts.length, `week of ${monday}`);
+  }
+});
+
+test("planCoop shares the day's biggest step and deals each role at most its share", () => {
+  const days = planWeek("2026-10-19", themes);
+  planCoop(days, themes).forEach((block, dow) => {
+    assert.ok(block, `block for ${days[dow].date}`);
+    assert.equal(block.shared, days[dow].steps.at(-1).text);
+    assert.ok(block.roles.length >= 2);
+    for (const role of block.roles) assert.ok(role.steps.length >= 1 && role.steps.length <= COOP_ROLE_STEPS, role.role);
+  });
+});
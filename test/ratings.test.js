@@ -0,0 +1,145 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import net from "node:net";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { openRatingsStore, questThemes, createRateLimiter, queryRows } from "../lib/ratings.js";
+
+const ROOT = fileURLToPath(new URL("../", import.meta.url));
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A temp folder with quests/<date>.json for `dates` and an empty ratings file path.
+function fixture(dates = ["2026-10-19", "2026-10-20"]) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcq-ratings-"));
+  tempDirs.push(dir);
+  const quests = path.join(dir, "quests");
+  fs.mkdirSync(quests);
+  for (const date of dates) fs.writeFileSync(path.join(quests, `${date}.json`), JSON.stringify({ date, theme: "Farming Week" }));
+  return { dir, quests, db: path.join(dir, "ratings.jsonl") };
+}
+
+const rating = (date, user_hash, stars = 5) => ({ date, stars, user_hash, theme: "anything" });
+
+/* ---------------------------------- Store ---------------------------------- */
+test("a date without a published quest is refused with 400", () => {
+  const { quests, db } = fixture();
+  const store = openRatingsStore(db, { themeFor: questThemes(quests) });
+  assert.deepEqual(store.add(rating("2026-10-21", "device-0001"), "10.0.0.1"), { ok: false, status: 400, message: "no quest was published for this date" });
+  assert.equal(store.size, 0);
+});
+
+test("a repeat vote from the same device is refused with 409, even after a restart", () => {
+  const { quests, db } = fixture();
+  const themeFor = questThemes(quests);
+  const store = openRatingsStore(db, { themeFor });
+  assert.deepEqual(store.add(rating("2026-10-19", "device-0001"), "10.0.0.1"), { ok: true });
+  assert.equal(store.add(rating("2026-10-19", "device-0001", 1), "10.0.0.2").status, 409);
+  assert.deepEqual(store.add(rating("2026-10-20", "device-0001"), "10.0.0.1"), { ok: true });
+
+  const reopened = openRatingsStore(db, { themeFor });
+  assert.equal(reopened.size, 2);
+  assert.equal(reopened.add(rating("2026-10-19", "device-0001"), "10.0.0.3").status, 409);
+});
+
+test("a network past its cap for a date gets 429", () => {
+  const { quests, db } = fixture();
+  const store = openRatingsStore(db, { themeFor: questThemes(quests), maxPerNetwork: 2 });
+  assert.ok(store.add(rating("2026-10-19", "device-0001"), "10.0.0.1").ok);
+  assert.ok(store.add(rating("2026-10-19", "device-0002"), "10.0.0.1").ok);
+  assert.equal(store.add(rating("2026-10-19", "device-0003"), "10.0.0.1").status, 429);
+  assert.ok(store.add(rating("2026-10-19", "device-0003"), "10.0.0.2").ok, "other networks still vote");
+  assert.ok(store.add(rating("2026-10-20", "device-0003"), "10.0.0.1").ok, "the cap is per date");
+});
+
+test("ratings are stored and shown under the published theme", () => {
+  const { quests, db } = fixture();
+  const store = openRatingsStore(db, { themeFor: questThemes(quests) });
+  store.add(rating("2026-10-19", "device-0001", 5), "10.0.0.1");
+  store.add(rating("2026-10-19", "device-0002", 2), "10.0.0.2");
+  assert.deepEqual(store.aggregate(), [{ date: "2026-10-19", theme: "Farming Week", count: 2, avg: 3.5 }]);
+  const stored = fs.readFileSync(db, "utf8").trim().split("\n").map(line => JSON.parse(line));
+  assert.ok(stored.every(r => r.theme === "Farming Week" && !JSON.stringify(r).includes("device-")));
+});
+
+/* ------------------------------- Rate limiting ----------------------------- */
+test("the rate limiter refuses past max until the window rolls over", () => {
+  const limit = createRateLimiter({ max: 2, windowMs: 60_000 });
+  assert.ok(limit.take("a", 0).ok);
+  assert.ok(limit.take("a", 1_000).ok);
+  assert.deepEqual(limit.take("a", 2_000), { ok: false, retryAfter: 58 });
+  assert.ok(limit.take("b", 2_000).ok, "keys are counted apart");
+  assert.ok(limit.take("a", 60_000).ok);
+});
+
+/* ---------------------------------- Query ---------------------------------- */
+const ROWS = [
+  { date: "2026-10-19", theme: "Farming Week", count: 3, avg: 4.33 },
+  { date: "2026-10-20", theme: "Farming Week", count: 5, avg: 3.8 },
+  { date: "2026-10-21", theme: "Builder Week", count: 1, avg: 5 },
+];
+const query = qs => queryRows(ROWS, new URLSearchParams(qs));
+
+test("queryRows filters, orders, limits and selects", () => {
+  assert.deepEqual(query("date=eq.2026-10-20").rows, [ROWS[1]]);
+  assert.deepEqual(query("order=avg.desc&limit=2&select=date,avg").rows, [
+    { date: "2026-10-21", avg: 5 },
+    { date: "2026-10-19", avg: 4.33 },
+  ]);
+  assert.deepEqual(query("order=theme,count.desc").rows.map(r => r.date), ["2026-10-21", "2026-10-20", "2026-10-19"]);
+});
+
+test("queryRows rejects what it doesn't speak", () => {
+  for (const qs of [
+    "order=stars.desc", "order=avg.sideways", "select=date,voter", "limit=-1", "limit=ten", "date=gt.2026-10-19",
+  ]) {
+    assert.equal(query(qs).rows, undefined, qs);
+    assert.match(query(qs).problem, /order|select|limit|eq\./, qs);
+  }
+});
+
+/* ---------------------------------- Server --------------------------------- */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on("error", reject);
+  });
+}
+
+async function startServer(args) {
+  const child = spawn(process.execPath, [path.join(ROOT, "ratings-server.js"), ...args], { stdio: ["ignore", "pipe", "inherit"] });
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", chunk => String(chunk).includes("Ratings service on") && resolve());
+    child.on("exit", code => reject(new Error(`ratings-server.js exited with ${code}`)));
+  });
+  return child;
+}
+
+test("the server answers 400, 409 and 429 as PostgREST would", async () => {
+  const { quests, db } = fixture();
+  const port = await freePort();
+  const server = await startServer([`--port=${port}`, `--db=${db}`, `--quests=${quests}`]);
+  const base = `http://127.0.0.1:${port}`;
+  const post = body => fetch(`${base}/ratings`, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+  try {
+    assert.equal((await post(rating("2026-10-19", "device-0001"))).status, 201);
+    assert.equal((await post(rating("2026-10-19", "device-0001"))).status, 409);
+    assert.equal((await post(rating("2026-10-21", "device-0002"))).status, 400);
+    assert.equal((await fetch(`${base}/ratings_agg?order=voter.desc`)).status, 400);
+    assert.deepEqual(await (await fetch(`${base}/ratings_agg?select=date,count`)).json(), [{ date: "2026-10-19", count: 1 }]);
+
+    // Ten writes a minute per client: the three above plus seven more, then 429.
+    for (let i = 2; i <= 8; i++) await post(rating("2026-10-20", `device-000${i}`));
+    const limited = await post(rating("2026-10-20", "device-0009"));
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  } finally {
+    server.kill();
+  }
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkText, isSafe } from "../lib/safety.js";
+
+const rules = text => [...new Set(checkText(text).hits.map(h => h.rule))];
+
+test("words that merely contain a banned term pass", () => {
+  for (const text of [
+    "Extend your wall by 10 blocks.",
+    "Spend a night in your shelter.",
+    "Blend stone and wood in one wall.",
+    "Build a pen with a friend.",
+    "Model your house on a real cottage.",
+    "Tend a farm of 12 wheat.",
+    "Add a moderately tall tower.",
+    "Craft a commanding lookout over the river.",
+    "Light the enderwood-free path with torches.",
+  ]) {
+    assert.deepEqual(rules(text), [], text);
+  }
+});
+
+test("allow phrases keep everyday uses of a term", () => {
+  assert.ok(isSafe("Place a chest at the end of your path."));
+  assert.ok(isSafe("By the end of the day, sleep in a bed."));
+  assert.ok(isSafe("In the end, decorate with flowers."));
+  assert.ok(isSafe("Find a good roof shape by trial and error."));
+});
+
+test("the banned terms themselves are still caught", () => {
+  assert.deepEqual(rules("Travel to the End."), ["dimension.end"]);
+  assert.deepEqual(rules("Craft an end rod lamp."), ["dimension.end"]);
+  assert.deepEqual(rules("Build a nether portal frame."), ["dimension.nether"]);
+  assert.deepEqual(rules("Trade with a villager."), ["mob.villager"]);
+  assert.deepEqual(rules("Install a mod for minimaps."), ["addon.any"]);
+  assert.deepEqual(rules("Brew a potion of healing."), ["item.brewing"]);
+  assert.deepEqual(rules("Use /give to get diamonds."), ["command.any"]);
+  assert.deepEqual(rules("Enchanted tools are not needed."), ["item.enchanting"]);
+  assert.deepEqual(rules("Explore the villages nearby."), ["structure.generated"]);
+});
+
+test("a term inside an allow phrase elsewhere is still caught", () => {
+  assert.deepEqual(rules("At the end of the day, visit the End."), ["dimension.end"]);
+});
+
+test("non-strings are never safe", () => {
+  assert.equal(checkText(undefined).safe, false);
+  assert.equal(checkText(42).safe, false);
+});
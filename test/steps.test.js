@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGoals, readGoals, normalizeStep, stepDetails } from "../lib/steps.js";
+
+const brief = text => parseGoals(text).map(g => `${g.action} ${g.count} ${g.item}`);
+
+test("parseGoals reads verb, count and item", () => {
+  assert.deepEqual(parseGoals("Place 12 torches around the farm."), [{ action: "place", item: "torches", count: 12 }]);
+  assert.deepEqual(brief("Plant at least 10 seeds of any kind."), ["plant 10 seeds"]);
+  assert.deepEqual(brief("Craft 4 bread and cook 4 other foods (any mix)."), ["craft 4 bread", "cook 4 other foods"]);
+  assert.deepEqual(brief("Build a bridge across the river."), []);
+});
+
+test("parseGoals reads every target that shares a verb", () => {
+  assert.deepEqual(brief("Collect 24 cobblestone and 16 logs for supplies."), ["collect 24 cobblestone", "collect 16 logs"]);
+  assert.deepEqual(brief("Mine 8 coal, 4 iron ore, and 2 copper ore."), ["mine 8 coal", "mine 4 iron ore", "mine 2 copper ore"]);
+  assert.deepEqual(brief("Craft 16 torches and a spare stone pickaxe for your journey."), ["craft 16 torches"]);
+});
+
+test("parseGoals gives a step offering a choice no goals", () => {
+  assert.deepEqual(brief("Collect 24 coal or make 16 charcoal."), []);
+  assert.deepEqual(brief("Harvest 12 wheat (any farm), or a mix of crops."), []);
+  assert.deepEqual(brief("Collect 12 wheat or 8 carrots."), []);
+});
+
+test("parseGoals leaves out conditional targets before and after the condition", () => {
+  assert.deepEqual(brief("Mine 32 cobblestone and 8 iron ore if you see any; smelt what you find."), ["mine 32 cobblestone"]);
+  assert.deepEqual(brief("If you find iron, craft shears and gather 1 wool from a sheep."), []);
+  assert.deepEqual(brief("Bonus: collect 3 diamonds."), []);
+  assert.deepEqual(brief("Collect 20 logs. If you have time, craft 4 chests."), ["collect 20 logs"]);
+});
+
+test("readGoals marks whether the goals are the whole step", () => {
+  const covered = text => readGoals(text).covered;
+  assert.equal(covered("Collect 24 cobblestone and 16 logs for supplies."), true);
+  assert.equal(covered("Cook 5 foods (any mix) to pack as snacks."), true);
+  assert.equal(covered("Gather 64 blocks of any building material (wood, stone, or mixed)."), true);
+  assert.equal(covered("Craft 16 torches and a spare stone pickaxe for your journey."), false);
+  assert.equal(covered("Plant 4 saplings (any mix) and fence the area."), false);
+  assert.equal(covered("Place a campfire and cook at least 2 foods on it."), false);
+  assert.equal(covered("Mine 32 cobblestone and 8 iron ore if you see any."), false);
+  assert.equal(covered("Collect 20 logs. Then build a hut."), false);
+  assert.equal(covered("Build a bridge across the river."), false);
+});
+
+test("quests mark parsed goals that leave part of the step untracked", () => {
+  const partial = stepDetails(normalizeStep("Plant 4 saplings (any mix) and fence the area.", "warmup"));
+  assert.equal(partial.goals_partial, true);
+  const whole = stepDetails(normalizeStep("Place 12 torches in your rooms.", "warmup"));
+  assert.equal(whole.goals_partial, undefined);
+  const explicit = stepDetails(normalizeStep({
+    text: "Collect 20 logs and craft a chest.",
+    goals: [{ action: "collect", item: "logs", count: 20 }, { action: "craft", item: "chest", count: 1 }],
+  }, "core"));
+  assert.equal(explicit.goals_partial, undefined);
+  assert.equal(explicit.goals.length, 2);
+});
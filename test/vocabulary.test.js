@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkVocabulary, isVanillaName } from "../lib/vocabulary.js";
+
+const rules = text => checkVocabulary(text).hits.map(h => `${h.rule} ${h.match}`);
+
+test("counted and crafted targets must be vanilla", () => {
+  assert.deepEqual(rules("Collect 20 logs and craft a lantern."), []);
+  assert.deepEqual(rules("Collect 4 bucket of cod."), []);
+  assert.deepEqual(rules("Craft a fireplace feature by the door."), ["vocab.unknown fireplace feature"]);
+  assert.ok(isVanillaName("Torches"));
+  assert.ok(!isVanillaName("mithril"));
+});
+
+test("specific names that need another dimension or a structure are flagged anywhere", () => {
+  assert.deepEqual(rules("Decorate your base with glowstone."), ["vocab.needs-dimension glowstone"]);
+  assert.deepEqual(rules("Build a wall of nether quartz."), ["vocab.needs-dimension nether quartz"]);
+  assert.deepEqual(rules("Collect 16 prismarine shards."), ["vocab.needs-structure prismarine shards"]);
+});
+
+test("everyday words are only flagged as something to count or make", () => {
+  for (const text of [
+    "Raise a 7-block watchtower with a torch beacon.",
+    "Light a blaze of torches along the path.",
+    "Hang a bell over your door.",
+    "Dig a vault under your base for valuables.",
+    "Build a prismarine-colored fountain from blue wool.",
+  ]) assert.deepEqual(rules(text), [], text);
+  assert.deepEqual(rules("Craft a beacon for your base."), ["vocab.needs-dimension beacon"]);
+  assert.deepEqual(rules("Collect 4 quartz."), ["vocab.needs-dimension quartz"]);
+  assert.deepEqual(rules("Craft 2 bells."), ["vocab.needs-structure bells"]);
+});
+
+test("needs follow the quest's own rules", () => {
+  assert.deepEqual(checkVocabulary("Craft a beacon.", { rules: ["Java & Bedrock supported."] }).hits, []);
+  assert.equal(checkVocabulary("Craft a beacon.", { rules: ["No special structures or other dimensions are required."] }).hits.length, 1);
+});
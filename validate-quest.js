@@ -1,64 +1,160 @@
 #!/usr/bin/env node
 /**
- * Validates a quest JSON for vanilla-doability.
- * Usage: node validate-quest.js quests/2025-11-04.json
- * Exits non-zero on failure.
+ * Validates quest JSON files for vanilla-doability.
+ * - Same schema + content rules as the generator (lib/validate.js)
+ * - Accepts files, directories and quoted globs; defaults to quests/
+ * - Any directory holding index.json also gets an index consistency check
+ * - --vocab also checks steps against the vanilla vocabulary (lib/vocabulary.js)
+ *   and the quest's own rules; --pools lints every theme pack's step pools
+ *
+ * Usage:
+ *   node validate-quest.js                          (everything under quests/)
+ *   node validate-quest.js quests/2025-11-04.json
+ *   node validate-quest.js "quests/2025-12-*.json" --json
+ *   node validate-quest.js --themes=./my-server-themes
+ *   node validate-quest.js --pools                  (theme packs only)
+ *   node validate-quest.js --vocab --pools          (quests/ and the packs, with the vocabulary)
+ *
+ * Exits non-zero on any failure. --json prints a machine-readable report.
  */
 
-const fs = require("fs");
-
-const bannedPhrases = [
-  // Non-vanilla items/behaviors we’ve seen
-  "spore stew",
-  "enchanted bread",
-  "feed it to a wandering trader",
-  "secret honeycomb",
-  "cauldron stew",
-  "nether wart and sugar stew",
-  "command block",
-  "use /give",
-  "datapack needed",
-  "mod-only",
-];
-
-const mustBePresent = ["title", "steps"];
-
-function main(file) {
-  if (!file) die("Provide a quest json file path.");
-  if (!fs.existsSync(file)) die(`File not found: ${file}`);
-  const j = JSON.parse(fs.readFileSync(file, "utf8"));
-
-  // Basic schema
-  mustBePresent.forEach((k) => {
-    if (!(k in j)) die(`Missing required field: ${k}`);
+import fs from "node:fs";
+import path from "node:path";
+import { loadThemes, readThemePack } from "./lib/themes.js";
+import { questProblems, indexProblems, poolProblems, knownThemeKeys, QUEST_FILE_RX, VARIANT_FILE_RX } from "./lib/validate.js";
+
+/* ------------------------------- File lookup ------------------------------- */
+function globToRx(segment) {
+  const src = segment.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]");
+  return new RegExp(`^${src}$`);
+}
+
+// Minimal glob: "*" and "?" inside a segment, "**" for any depth.
+function expandGlob(pattern) {
+  const parts = pattern.split(/[\\/]+/);
+  let bases = [parts[0] === "" ? "/" : "."];
+  if (parts[0] === "") parts.shift();
+
+  parts.forEach((part, i) => {
+    const last = i === parts.length - 1;
+    const next = [];
+    for (const base of bases) {
+      if (part === "**") {
+        const walk = dir => {
+          next.push(dir);
+          for (const e of fs.readdirSync(dir, { withFileTypes: true })) if (e.isDirectory()) walk(path.join(dir, e.name));
+        };
+        if (fs.existsSync(base)) walk(base);
+      } else if (!/[*?]/.test(part)) {
+        const p = path.join(base, part);
+        if (fs.existsSync(p) && (last || fs.statSync(p).isDirectory())) next.push(p);
+      } else if (fs.existsSync(base) && fs.statSync(base).isDirectory()) {
+        const rx = globToRx(part);
+        for (const e of fs.readdirSync(base, { withFileTypes: true })) {
+          if (rx.test(e.name) && (last || e.isDirectory())) next.push(path.join(base, e.name));
+        }
+      }
+    }
+    bases = next;
   });
-  if (!Array.isArray(j.steps) || j.steps.length < 1 || j.steps.length > 3) {
-    die("steps must be an array of length 1–3");
+  return bases;
+}
+
+// Dated quests and their audience variants (2025-11-05.json, 2025-11-05.young.json).
+function questFilesIn(dir) {
+  return fs.readdirSync(dir).filter(f => QUEST_FILE_RX.test(f) || VARIANT_FILE_RX.test(f)).sort().map(f => path.join(dir, f));
+}
+
+function collect(args) {
+  const files = new Set();
+  const dirs = new Set();
+  for (const arg of args) {
+    const matches = /[*?]/.test(arg) ? expandGlob(arg) : fs.existsSync(arg) ? [arg] : [];
+    if (!matches.length) die(`File not found: ${arg}`);
+    for (const m of matches) {
+      if (fs.statSync(m).isDirectory()) {
+        dirs.add(m);
+        questFilesIn(m).forEach(f => files.add(f));
+      } else if (path.basename(m) === "index.json") {
+        dirs.add(path.dirname(m));
+      } else {
+        files.add(m);
+      }
+    }
   }
+  return { files: [...files], dirs: [...dirs] };
+}
 
-  // Banned phrases
-  const blob = JSON.stringify(j).toLowerCase();
-  for (const bad of bannedPhrases) {
-    if (blob.includes(bad)) die(`BANNED content detected: "${bad}"`);
+/* ---------------------------------- Checks --------------------------------- */
+function readJSONFile(file) {
+  try {
+    return { json: JSON.parse(fs.readFileSync(file, "utf8")) };
+  } catch (err) {
+    return { problems: [{ path: "", rule: "json.parse", message: `could not parse JSON (${err.message})` }] };
   }
+}
 
-  // Sanity checks—no obviously fake items
-  const fakeItems = [/enchanted\s+\w+/, /secret\s+chest/];
-  fakeItems.forEach((rx) => {
-    if (rx.test(blob)) die(`Likely non-vanilla concept: ${rx}`);
-  });
+function checkFile(file, knownThemes, vocab) {
+  const { json, problems } = readJSONFile(file);
+  return { file, problems: problems || questProblems(json, { file, knownThemes, vocab }) };
+}
+
+// Packs were schema-checked by loadThemes(), so only their steps are left.
+function checkPack(pack) {
+  return { file: path.relative(process.cwd(), pack.file), problems: poolProblems(readThemePack(pack.file)) };
+}
 
-  // Gentle allowlist idea: assert common verbs/items appear, not required though
-  ok(`Valid: ${file}`);
+function checkIndex(dir) {
+  const file = path.join(dir, "index.json");
+  if (!fs.existsSync(file)) return null;
+  const dates = questFilesIn(dir).map(f => QUEST_FILE_RX.exec(path.basename(f))?.[1]).filter(Boolean);
+  const { json, problems } = readJSONFile(file);
+  return { file, problems: problems || indexProblems(json, dates) };
 }
 
-function ok(msg) {
-  console.log(msg);
-  process.exit(0);
+/* ----------------------------------- Main ---------------------------------- */
+function main(argv) {
+  const asJSON = argv.includes("--json");
+  const vocab = argv.includes("--vocab");
+  const pools = argv.includes("--pools");
+  const themeDirs = argv.filter(a => a.startsWith("--themes=")).map(a => a.split("=").slice(1).join("="));
+  const targets = argv.filter(a => !a.startsWith("--"));
+
+  let themes;
+  try {
+    themes = loadThemes(themeDirs);
+  } catch (err) {
+    die(err.message);
+  }
+  const knownThemes = knownThemeKeys(themes);
+
+  // --pools on its own lints just the packs; quests/ is the default otherwise
+  // (so --vocab --pools checks both).
+  const { files, dirs } = collect(targets.length ? targets : pools && !vocab ? [] : ["quests"]);
+  const results = [
+    ...files.map(f => checkFile(f, knownThemes, vocab)),
+    ...dirs.map(checkIndex).filter(Boolean),
+    ...(pools ? themes.packs.map(checkPack) : []),
+  ].map(r => ({ ...r, ok: r.problems.length === 0 }));
+
+  const failed = results.filter(r => !r.ok).length;
+  const report = { ok: failed === 0, checked: results.length, failed, results };
+
+  if (asJSON) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const r of results) {
+      if (r.ok) { console.log(`Valid: ${r.file}`); continue; }
+      for (const p of r.problems) console.error(`VALIDATION ERROR: ${r.file}${p.path ? ` ${p.path}` : ""}: ${p.message} [${p.rule}]`);
+    }
+    console.log(`${report.checked} checked, ${failed} failed`);
+  }
+  process.exit(report.ok ? 0 : 1);
 }
+
 function die(msg) {
   console.error("VALIDATION ERROR:", msg);
   process.exit(1);
 }
 
-main(process.argv[2]);
+main(process.argv.slice(2));